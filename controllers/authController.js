@@ -1,35 +1,32 @@
 import prisma from '../lib/prisma.js';
+import { ROLES } from '../lib/permissions.js';
+import { DEFAULT_EMAIL_LOCALE } from '../lib/emailTemplates.js';
 
+// Create the caller's user on first sign-in and keep their email and
+// preferred email language ({ locale: 'id' | 'en' }) up to date
 export const syncUser = async (req, res) => {
-  try {
-    const { sub, name } = req.body;
+  // Identity comes from the verified token, never from the request body
+  const { id: sub } = req.user;
+  const { locale } = req.body;
+  const name = req.user.name || req.body.name;
+  const email = typeof req.user.claims.email === 'string' ? req.user.claims.email : undefined;
 
-    // Validate required fields
-    if (!sub) {
-      return res.status(400).json({ 
-        error: 'Missing required field: sub' 
-      });
+  // Check if user exists, create if not (upsert)
+  const user = await prisma.user.upsert({
+    where: { id: sub },
+    update: { email, locale }, // Only the email and locale follow later sign-ins
+    create: {
+      id: sub,
+      name: name,
+      email,
+      locale: locale || DEFAULT_EMAIL_LOCALE,
+      role: ROLES.CUSTOMER
     }
+  });
 
-    // Check if user exists, create if not (upsert)
-    const user = await prisma.user.upsert({
-      where: { id: sub },
-      update: {}, // Don't update anything if user exists
-      create: {
-        id: sub,
-        name: name,
-        role: 'customer'
-      }
-    });
-
-    res.json({ 
-      role: user.role
-    });
-  } catch (error) {
-    console.error('Error syncing user:', error);
-    res.status(500).json({ 
-      error: 'Failed to sync user',
-      details: error.message 
-    });
-  }
+  res.json({ 
+    role: user.role,
+    email: user.email,
+    locale: user.locale
+  });
 };
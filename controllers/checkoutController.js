@@ -0,0 +1,210 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../lib/prisma.js";
+import { HttpError } from "../lib/errors.js";
+import { v4 as uuidv4 } from "uuid";
+import { uploadFile, deleteFiles } from "../lib/storage/index.js";
+import config from "../lib/config.js";
+import { getSnap, PAYMENT_EXPIRY_MINUTES } from "../lib/midtrans.js";
+import { ORDER_STATUS, STATUS_ACTORS } from "../lib/orderStatus.js";
+import { getWeddingInfoSchema, validateWeddingInfo } from "../lib/weddingInfoSchema.js";
+import { ORDER_IMAGES_BUCKET, getOrderImagesFolder } from "../lib/orderImages.js";
+import { parseAddonSelection, priceOrder, toItemDetails } from "../lib/pricing.js";
+import { VoucherError, checkVoucher, applyVoucherCode } from "../lib/vouchers.js";
+import { notifyOrderCreated } from "../lib/notifications.js";
+
+// Create the order and its Midtrans Snap transaction in one step. The order
+// ID and the itemized amount (product or variant plus add-ons, minus an
+// optional voucher) are computed here. If any step up to the Snap transaction
+// fails, the uploaded images and the order row are rolled back.
+export const checkout = async (req, res) => {
+  const uploadedImageUrls = [];
+  let createdOrderId = null;
+  let transactionCreated = false;
+
+  try {
+    const { productId, variantId, voucherCode } = req.body;
+    const userId = req.user.id;
+    const imageFiles = req.files; // Array of files
+
+    // Validate at least one image file is provided
+    if (!imageFiles || imageFiles.length === 0) {
+      throw new HttpError(400, "At least one image file is required");
+    }
+
+    // Verify user exists
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      throw new HttpError(404, "User not found");
+    }
+
+    // Verify product exists
+    const product = await prisma.product.findUnique({
+      where: { id: productId, deletedAt: null },
+      include: {
+        tags: true,
+        variants: true,
+        addons: true,
+      },
+    });
+
+    if (!product) {
+      throw new HttpError(404, "Product not found");
+    }
+
+    // Validate weddingInfo against the product's form (it arrives as a JSON
+    // string in multipart requests)
+    const { value: weddingInfo, errors } = validateWeddingInfo(
+      getWeddingInfoSchema(product),
+      req.body.weddingInfo
+    );
+    if (errors) {
+      throw new HttpError(400, "Invalid weddingInfo", { fields: errors });
+    }
+
+    // Price the chosen variant and add-ons
+    const { selection, error: addonError } = parseAddonSelection(req.body.addons);
+    let pricing = addonError
+      ? { error: addonError }
+      : priceOrder(product, { variantId, addons: selection });
+    if (!pricing.error && voucherCode) {
+      pricing = await applyVoucherCode(prisma, pricing, { code: voucherCode, product, userId });
+    }
+    if (pricing.error) {
+      throw new HttpError(400, pricing.error);
+    }
+
+    const orderId = uuidv4();
+    const amount = pricing.total;
+    const { voucher } = pricing;
+
+    // Upload images one by one so we know exactly what to clean up
+    for (const imageFile of imageFiles) {
+      const imageUrl = await uploadFile(
+        imageFile,
+        ORDER_IMAGES_BUCKET,
+        getOrderImagesFolder(orderId)
+      );
+      uploadedImageUrls.push(imageUrl);
+    }
+
+    // Persist the order before talking to Midtrans so a payment can never
+    // exist without its order. With a voucher, its usage limits are checked
+    // again in a serializable transaction so concurrent checkouts cannot
+    // redeem it more often than allowed.
+    await prisma.$transaction(async (tx) => {
+      if (voucher) {
+        const { error } = await checkVoucher(tx, voucher, { product, userId, subtotal: pricing.subtotal });
+        if (error) throw new VoucherError(error);
+      }
+
+      await tx.order.create({
+        data: {
+          id: orderId,
+          userId,
+          productId,
+          status: ORDER_STATUS.PENDING_PAYMENT,
+          amount,
+          weddingInfo,
+          imageUrls: uploadedImageUrls,
+          items: {
+            create: pricing.items,
+          },
+          voucherRedemption: voucher
+            ? {
+                create: {
+                  voucherId: voucher.id,
+                  userId,
+                  code: voucher.code,
+                  discount: pricing.discount,
+                },
+              }
+            : undefined,
+          statusHistory: {
+            create: {
+              toStatus: ORDER_STATUS.PENDING_PAYMENT,
+              actorType: STATUS_ACTORS.CUSTOMER,
+              actorId: userId,
+            },
+          },
+        },
+      });
+    }, voucher ? { isolationLevel: Prisma.TransactionIsolationLevel.Serializable } : undefined);
+    createdOrderId = orderId;
+
+    // Prepare Midtrans transaction parameters
+    const parameters = {
+      transaction_details: {
+        order_id: orderId,
+        gross_amount: amount,
+      },
+      customer_details: {
+        first_name: user.name || "Guest",
+      },
+      item_details: toItemDetails(pricing.items),
+      expiry: {
+        unit: "minutes",
+        duration: PAYMENT_EXPIRY_MINUTES,
+      },
+      callbacks: config.midtrans.callbacks,
+    };
+
+    // Create transaction with Midtrans; the payment window starts now
+    const paymentExpiresAt = new Date(Date.now() + PAYMENT_EXPIRY_MINUTES * 60 * 1000);
+    const transaction = await getSnap().createTransaction(parameters);
+    transactionCreated = true;
+
+    const order = await prisma.order.update({
+      where: { id: orderId },
+      data: {
+        snapToken: transaction.token,
+        snapRedirectUrl: transaction.redirect_url,
+        paymentExpiresAt,
+      },
+      include: {
+        product: true,
+        user: true,
+        items: true,
+        voucherRedemption: true,
+      },
+    });
+
+    notifyOrderCreated(order.id);
+
+    res.status(201).json({
+      order,
+      transaction: {
+        token: transaction.token,
+        redirectUrl: transaction.redirect_url,
+      },
+    });
+  } catch (error) {
+    // Roll back everything created so far. Once the Snap transaction exists
+    // the order has to stay, so a payment can never exist without its order;
+    // it is still pending_payment and payment reconciliation cancels it when
+    // its payment window passes.
+    if (transactionCreated) {
+      console.error(`Error saving the Snap transaction of order ${createdOrderId}:`, error);
+    } else {
+      if (createdOrderId) {
+        await prisma.order.delete({ where: { id: createdOrderId } }).catch((deleteError) =>
+          console.error("Error rolling back order:", deleteError)
+        );
+      }
+      await deleteFiles(uploadedImageUrls, ORDER_IMAGES_BUCKET);
+    }
+
+    if (error instanceof VoucherError) {
+      throw new HttpError(400, error.message);
+    }
+
+    // Lost a race with another checkout using the same voucher
+    if (error.code === "P2034") {
+      throw new HttpError(409, "The voucher was redeemed by another order at the same time, please try again");
+    }
+
+    throw error;
+  }
+};
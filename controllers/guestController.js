@@ -0,0 +1,174 @@
+import prisma from "../lib/prisma.js";
+import { HttpError } from "../lib/errors.js";
+import { stringify } from "csv-stringify/sync";
+import { parseListQuery, buildPage } from "../lib/pagination.js";
+import { buildInvitationUrl } from "../lib/invitation.js";
+import { parseGuestCsv, normalizeGuests, generateGuestToken } from "../lib/guests.js";
+
+const GUEST_SORT_FIELDS = {
+  createdAt: (order) => ({ createdAt: order }),
+  name: (order) => ({ name: order }),
+};
+
+// Attach the personalized invitation link to a guest
+const withInvitationUrl = (order, guest) => ({
+  ...guest,
+  invitationUrl: order.slug ? buildInvitationUrl(order.slug, guest.token) : null,
+});
+
+// Import guests for an order from a CSV upload (field "file") or a JSON body
+// ({ guests: [{ name, phone }] }). Guests whose name is already on the list
+// are skipped.
+export const importGuests = async (req, res) => {
+  const { order } = req;
+
+  let rawGuests;
+  if (req.file) {
+    try {
+      rawGuests = parseGuestCsv(req.file.buffer);
+    } catch (error) {
+      throw new HttpError(400, `Invalid CSV file: ${error.message}`);
+    }
+  } else if (req.body.guests) {
+    rawGuests = req.body.guests;
+  } else {
+    throw new HttpError(400, 'Provide a guests array or a CSV file (field "file")', {
+      fields: { guests: "is required without a CSV file" },
+    });
+  }
+
+  const { guests, error } = normalizeGuests(rawGuests);
+  if (error) {
+    throw new HttpError(400, error);
+  }
+
+  // Skip names already on the list and duplicates within the upload
+  const existingGuests = await prisma.guest.findMany({
+    where: { orderId: order.id },
+    select: { nameKey: true },
+  });
+  const seenNames = new Set(existingGuests.map((guest) => guest.nameKey));
+
+  const newGuests = [];
+  for (const guest of guests) {
+    if (seenNames.has(guest.nameKey)) continue;
+    seenNames.add(guest.nameKey);
+    newGuests.push({
+      ...guest,
+      orderId: order.id,
+      token: generateGuestToken(),
+    });
+  }
+
+  await prisma.guest.createMany({
+    data: newGuests,
+    skipDuplicates: true,
+  });
+
+  const created = await prisma.guest.findMany({
+    where: {
+      orderId: order.id,
+      token: { in: newGuests.map((guest) => guest.token) },
+    },
+    orderBy: {
+      name: "asc",
+    },
+  });
+
+  res.status(201).json({
+    message: `Imported ${created.length} guest(s)`,
+    imported: created.length,
+    skipped: guests.length - created.length,
+    guests: created.map((guest) => withInvitationUrl(order, guest)),
+  });
+};
+
+// Get the guest list of an order (paginated, supports ?q=name)
+export const getOrderGuests = async (req, res) => {
+  const { order } = req;
+  const { q } = req.query;
+
+  const listQuery = parseListQuery(req.query, {
+    sortFields: GUEST_SORT_FIELDS,
+    defaultSort: "name",
+    defaultOrder: "asc",
+  });
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
+
+  // Build filter based on query parameters
+  const filter = { orderId: order.id };
+  if (q && q.trim()) filter.name = { contains: q.trim(), mode: "insensitive" };
+  if (listQuery.createdAt) filter.createdAt = listQuery.createdAt;
+
+  const [guests, total] = await Promise.all([
+    prisma.guest.findMany({
+      where: filter,
+      include: {
+        rsvp: true,
+      },
+      ...listQuery.findArgs,
+    }),
+    prisma.guest.count({ where: filter }),
+  ]);
+
+  const page = buildPage(guests, listQuery.limit, total);
+  page.data = page.data.map((guest) => withInvitationUrl(order, guest));
+
+  res.json(page);
+};
+
+// Export every guest with their personalized link as CSV, e.g. for
+// WhatsApp broadcasting
+export const exportGuestLinks = async (req, res) => {
+  const { order } = req;
+
+  if (!order.slug) {
+    throw new HttpError(409, "Invitation links are available once the order is paid");
+  }
+
+  const guests = await prisma.guest.findMany({
+    where: { orderId: order.id },
+    orderBy: {
+      name: "asc",
+    },
+  });
+
+  const csv = stringify(
+    guests.map((guest) => ({
+      name: guest.name,
+      phone: guest.phone || "",
+      url: buildInvitationUrl(order.slug, guest.token),
+    })),
+    { header: true, columns: ["name", "phone", "url"] }
+  );
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="guests-${order.slug}.csv"`);
+  res.send(csv);
+};
+
+// Remove a guest from an order's list
+export const deleteGuest = async (req, res) => {
+  const { order } = req;
+  const { guestId } = req.params;
+
+  // Check if guest exists on this order
+  const existingGuest = await prisma.guest.findUnique({
+    where: { id: guestId },
+  });
+
+  if (!existingGuest || existingGuest.orderId !== order.id) {
+    throw new HttpError(404, "Guest not found");
+  }
+
+  await prisma.guest.delete({
+    where: { id: guestId },
+  });
+
+  res.json({
+    message: "Guest deleted successfully",
+    id: guestId,
+  });
+};
@@ -0,0 +1,88 @@
+import prisma from "../lib/prisma.js";
+import { HttpError } from "../lib/errors.js";
+import { canAccessOrder } from "../lib/permissions.js";
+import { generateInvitationSlug } from "../lib/slug.js";
+import { INVITATION_STATUSES, isInvitationVisible, toPublicInvitation } from "../lib/invitation.js";
+
+// Get a published invitation by its slug (public). A personalized link
+// carries the guest token as ?to=, which resolves to the guest's name.
+export const getInvitationBySlug = async (req, res) => {
+  const { slug } = req.params;
+  const { to } = req.query;
+
+  const order = await prisma.order.findUnique({
+    where: { slug },
+  });
+
+  // Unpublished invitations look exactly like missing ones
+  if (!isInvitationVisible(order)) {
+    throw new HttpError(404, "Invitation not found");
+  }
+
+  let guest = null;
+  if (to) {
+    guest = await prisma.guest.findUnique({
+      where: { token: to },
+    });
+
+    // Ignore tokens that belong to another invitation
+    if (guest && guest.orderId !== order.id) guest = null;
+  }
+
+  res.json(toPublicInvitation(order, guest));
+};
+
+// Change the slug of an order's invitation or publish/unpublish it
+export const updateInvitation = async (req, res) => {
+  const { id } = req.params;
+  const { slug, published } = req.body;
+
+  // Check if order exists
+  const existingOrder = await prisma.order.findUnique({
+    where: { id, deletedAt: null },
+  });
+
+  if (!existingOrder) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  if (!canAccessOrder(req.user, existingOrder)) {
+    throw new HttpError(403, "You do not have access to this order");
+  }
+
+  if (!INVITATION_STATUSES.includes(existingOrder.status)) {
+    throw new HttpError(409, "The invitation becomes available once the order is paid");
+  }
+
+  // Build update data
+  const updateData = {};
+  if (published !== undefined) updateData.published = published;
+
+  if (slug !== undefined) {
+    // Check if another order already uses this slug
+    const duplicateOrder = await prisma.order.findUnique({
+      where: { slug },
+      select: { id: true },
+    });
+
+    if (duplicateOrder && duplicateOrder.id !== id) {
+      throw new HttpError(409, "This slug is already taken");
+    }
+
+    updateData.slug = slug;
+  } else if (!existingOrder.slug) {
+    // Orders paid before slugs existed get one on first edit
+    updateData.slug = await generateInvitationSlug(prisma, existingOrder.weddingInfo);
+  }
+
+  const order = await prisma.order.update({
+    where: { id },
+    data: updateData,
+  });
+
+  res.json({
+    orderId: order.id,
+    slug: order.slug,
+    published: order.published,
+  });
+};
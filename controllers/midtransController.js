@@ -1,172 +1,105 @@
-import midtransClient from "midtrans-client";
 import prisma from "../lib/prisma.js";
+import { canAccessOrder } from "../lib/permissions.js";
+import { getSnap, verifyNotificationSignature } from "../lib/midtrans.js";
+import {
+  PAYMENT_EVENT_OUTCOMES,
+  recordPaymentEvent,
+  setPaymentEventOutcome,
+  applyPaymentEvent,
+} from "../lib/paymentEvents.js";
+import { notifyOrderStatusChange } from "../lib/notifications.js";
+import { reconcilePayments } from "../lib/paymentReconciliation.js";
+import { HttpError } from "../lib/errors.js";
 
-// Initialize Midtrans Snap
-const snap = new midtransClient.Snap({
-  isProduction: false,
-  serverKey: process.env.MIDTRANS_SERVER_KEY,
-});
+// Handle Midtrans notification/webhook
+export const handleNotification = async (req, res) => {
+  const notification = req.body;
 
-// Create a Midtrans payment transaction only
-export const createTransaction = async (req, res) => {
-  try {
-    const { orderId, productId, userId } = req.body;
+  // Reject anything that is not signed with our server key
+  if (!verifyNotificationSignature(notification)) {
+    throw new HttpError(401, "Invalid notification signature");
+  }
 
-    // Validate required fields
-    if (!orderId || !productId || !userId) {
-      return res.status(400).json({
-        error: "Missing required fields: orderId, productId, userId",
-      });
-    }
+  let event = null;
+  try {
+    // Keep the raw notification, including duplicates and late deliveries
+    event = await recordPaymentEvent(notification);
 
-    // Get product details to calculate amount
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
+    const order = await prisma.order.findUnique({
+      where: { id: event.orderId },
     });
 
-    if (!product) {
-      return res.status(404).json({
-        error: "Product not found",
+    // Acknowledge unknown orders so Midtrans stops retrying
+    if (!order) {
+      await setPaymentEventOutcome(event.id, PAYMENT_EVENT_OUTCOMES.UNKNOWN_ORDER);
+      return res.json({
+        message: "Order not found, notification ignored",
+        outcome: PAYMENT_EVENT_OUTCOMES.UNKNOWN_ORDER,
       });
     }
 
-    // Get user details
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-    });
+    // Fetch the authoritative status from Midtrans instead of trusting the body
+    const statusResponse = await getSnap().transaction.notification(notification);
 
-    if (!user) {
-      return res.status(404).json({
-        error: "User not found",
-      });
-    }
-
-    // Prepare Midtrans transaction parameters
-    const parameters = {
-      transaction_details: {
-        order_id: orderId,
-        gross_amount: product.price,
-      },
-      customer_details: {
-        first_name: user.name || "Guest",
-      },
-      item_details: [
-        {
-          id: product.id,
-          price: product.price,
-          quantity: 1,
-          name: product.name,
-        },
-      ],
-      callbacks: {
-        finish: "http://localhost:5173",
-        error: "http://localhost:5173",
-        pending: "http://localhost:5173",
-      },
-    };
-
-    // Create transaction with Midtrans
-    const transaction = await snap.createTransaction(parameters);
-
-    res.status(201).json({
-      transaction,
-      productDetails: {
-        id: product.id,
-        name: product.name,
-        price: product.price,
-      },
-    });
-  } catch (error) {
-    console.error("Error creating transaction:", error);
-    res.status(500).json({
-      error: "Failed to create transaction",
-      details: error.message,
-    });
-  }
-};
+    const { outcome, order: updatedOrder } = await applyPaymentEvent(event.id, statusResponse);
 
-// Handle Midtrans notification/webhook
-export const handleNotification = async (req, res) => {
-  try {
-    const notification = req.body;
-
-    // Verify notification from Midtrans
-    const statusResponse = await snap.transaction.notification(notification);
-
-    const orderId = statusResponse.order_id;
-    const transactionStatus = statusResponse.transaction_status;
-    const fraudStatus = statusResponse.fraud_status;
-
-    let orderStatus = "pending";
-
-    // Determine order status based on transaction status
-    if (transactionStatus === "capture") {
-      if (fraudStatus === "accept") {
-        orderStatus = "diterima";
-      }
-    } else if (transactionStatus === "settlement") {
-      orderStatus = "diterima";
-    } else if (transactionStatus === "cancel" || transactionStatus === "deny" || transactionStatus === "expire") {
-      orderStatus = "dibatalkan";
-    } else if (transactionStatus === "pending") {
-      orderStatus = "pending";
+    // Emailed in the background so Midtrans gets its answer right away
+    if (outcome === PAYMENT_EVENT_OUTCOMES.APPLIED) {
+      notifyOrderStatusChange(order.id, order.status, updatedOrder.status);
     }
 
-    // Update order status in database
-    const order = await prisma.order.update({
-      where: { id: orderId },
-      data: { status: orderStatus },
-      include: {
-        product: true,
-        user: true,
-      },
-    });
-
     res.json({
       message: "Notification handled successfully",
-      order,
+      outcome,
     });
   } catch (error) {
-    console.error("Error handling notification:", error);
-    res.status(500).json({
-      error: "Failed to handle notification",
-      details: error.message,
-    });
+    // Midtrans retries failed notifications; keep the failure on record
+    if (event) {
+      await setPaymentEventOutcome(event.id, PAYMENT_EVENT_OUTCOMES.FAILED).catch((updateError) =>
+        console.error("Error marking payment event as failed:", updateError)
+      );
+    }
+    throw error;
   }
 };
 
 // Get transaction status
 export const getTransactionStatus = async (req, res) => {
-  try {
-    const { orderId } = req.params;
+  const { orderId } = req.params;
+
+  // Get order from database
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      product: true,
+      user: true,
+    },
+  });
+
+  if (!order) {
+    throw new HttpError(404, "Order not found");
+  }
 
-    // Get status from Midtrans
-    const statusResponse = await snap.transaction.status(orderId);
+  if (!canAccessOrder(req.user, order)) {
+    throw new HttpError(403, "You do not have access to this order");
+  }
 
-    // Get order from database
-    const order = await prisma.order.findUnique({
-      where: { id: orderId },
-      include: {
-        product: true,
-        user: true,
-      },
-    });
+  // Get status from Midtrans
+  const statusResponse = await getSnap().transaction.status(orderId);
 
-    if (!order) {
-      return res.status(404).json({
-        error: "Order not found",
-      });
-    }
+  res.json({
+    midtransStatus: statusResponse,
+    order,
+  });
+};
 
-    res.json({
-      midtransStatus: statusResponse,
-      order,
-    });
-  } catch (error) {
-    console.error("Error getting transaction status:", error);
-    res.status(500).json({
-      error: "Failed to get transaction status",
-      details: error.message,
-    });
-  }
+// Check pending orders against Midtrans and cancel the ones whose payment
+// window expired (supports minAgeMinutes and limit, in the query for the
+// cron job and in the body for admins)
+export const reconcilePendingPayments = async (req, res) => {
+  const { minAgeMinutes, limit } = req.method === "GET" ? req.query : req.body;
+
+  const report = await reconcilePayments({ minAgeMinutes, limit });
+
+  res.json(report);
 };
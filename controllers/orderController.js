@@ -1,140 +1,74 @@
 import prisma from "../lib/prisma.js";
-import supabase from "../lib/supabase.js";
-import { v4 as uuidv4 } from "uuid";
-
-// Create a new order with snapToken support and multiple image uploads
-export const createOrder = async (req, res) => {
-  try {
-    // Debug logging
-    console.log("=== CREATE ORDER DEBUG ===");
-    console.log("Content-Type:", req.headers["content-type"]);
-    console.log("req.files:", req.files);
-    console.log("req.body:", req.body);
-    console.log("========================");
-
-    const { orderId, userId, productId, weddingInfo, snapToken } = req.body;
-    const imageFiles = req.files; // Array of files
-
-    // Validate required fields
-    if (!orderId || !userId || !productId) {
-      return res.status(400).json({
-        error: "Missing required fields: orderId, userId, productId",
-      });
-    }
-
-    // Validate at least one image file is provided
-    if (!imageFiles || imageFiles.length === 0) {
-      return res.status(400).json({
-        error: "At least one image file is required",
-      });
-    }
-
-    // Verify user exists
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-    });
-
-    if (!user) {
-      return res.status(404).json({
-        error: "User not found",
-      });
-    }
-
-    // Verify product exists
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
-    });
-
-    if (!product) {
-      return res.status(404).json({
-        error: "Product not found",
-      });
-    }
-
-    // Upload all images to Supabase Storage
-    const uploadedImageUrls = [];
-    const uploadedFilePaths = [];
-
-    for (let i = 0; i < imageFiles.length; i++) {
-      const imageFile = imageFiles[i];
-      const fileExt = imageFile.originalname.split(".").pop();
-      const fileName = `${orderId}-${i + 1}-${uuidv4()}.${fileExt}`;
-      const filePath = `order-images/${fileName}`;
-
-      const { data: uploadData, error: uploadError } = await supabase.storage
-        .from("order-images")
-        .upload(filePath, imageFile.buffer, {
-          contentType: imageFile.mimetype,
-          upsert: false,
-        });
-
-      if (uploadError) {
-        console.error(`Error uploading image ${i + 1} to Supabase:`, uploadError);
-        
-        // Clean up previously uploaded images
-        if (uploadedFilePaths.length > 0) {
-          await supabase.storage.from("order-images").remove(uploadedFilePaths);
-        }
-        
-        return res.status(500).json({
-          error: `Failed to upload image ${i + 1}`,
-          details: uploadError.message,
-        });
-      }
-
-      // Get public URL for the uploaded image
-      const { data: publicUrlData } = supabase.storage
-        .from("order-images")
-        .getPublicUrl(filePath);
+import { HttpError } from "../lib/errors.js";
+import { isAdmin, canAccessOrder } from "../lib/permissions.js";
+import {
+  ORDER_STATUS,
+  STATUS_ACTORS,
+  BOOKED_ORDERS_FILTER,
+  canTransition,
+  transitionOrderStatus,
+} from "../lib/orderStatus.js";
+import { parseListQuery, buildPage } from "../lib/pagination.js";
+import { getWeddingInfoSchema, validateWeddingInfo } from "../lib/weddingInfoSchema.js";
+import { deleteFiles } from "../lib/storage/index.js";
+import { ORDER_IMAGES_BUCKET } from "../lib/orderImages.js";
+import { getSnap } from "../lib/midtrans.js";
+import { notifyOrderStatusChange } from "../lib/notifications.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  readOrderExportRows,
+  writeOrdersCsv,
+  writeOrdersXlsx,
+} from "../lib/orderExport.js";
+
+// Midtrans answers 404 for orders whose customer never opened the payment
+// page, and 412 when a settled transaction can no longer be cancelled
+const MIDTRANS_NOT_FOUND = 404;
+const MIDTRANS_NOT_MODIFIABLE = 412;
+
+// Sort options for order listings (?sortBy=)
+const ORDER_SORT_FIELDS = {
+  createdAt: (order) => ({ createdAt: order }),
+  price: (order) => ({ amount: { sort: order, nulls: "last" } }),
+  status: (order) => ({ status: order }),
+};
 
-      uploadedImageUrls.push(publicUrlData.publicUrl);
-      uploadedFilePaths.push(filePath);
-    }
+// Sort options for the deleted orders listing (?sortBy=)
+const DELETED_ORDER_SORT_FIELDS = {
+  deletedAt: (order) => ({ deletedAt: order }),
+  ...ORDER_SORT_FIELDS,
+};
 
-    // Create order in database
-    try {
-      const order = await prisma.order.create({
-        data: {
-          id: orderId,
-          userId,
-          productId,
-          status: "pending",
-          weddingInfo: weddingInfo || {},
-          snapToken: snapToken || null,
-          imageUrls: uploadedImageUrls,
-        },
-        include: {
-          product: true,
-          user: true,
-        },
-      });
+// Build the order filter from ?userId= and ?status= and the parsed date
+// range, on top of a base filter (default: orders not deleted). Customers
+// are always limited to their own orders.
+const buildOrderFilter = (req, listQuery, baseFilter = { deletedAt: null }) => {
+  const { userId, status } = req.query;
 
-      res.status(201).json(order);
-    } catch (dbError) {
-      // If order creation fails, delete all uploaded images
-      await supabase.storage.from("order-images").remove(uploadedFilePaths);
-      throw dbError;
-    }
-  } catch (error) {
-    console.error("Error creating order:", error);
-    res.status(500).json({
-      error: "Failed to create order",
-      details: error.message,
-    });
+  const filter = { ...baseFilter };
+  if (isAdmin(req.user)) {
+    if (userId) filter.userId = userId;
+  } else {
+    filter.userId = req.user.id;
   }
+  if (status) filter.status = status;
+  if (listQuery.createdAt) filter.createdAt = listQuery.createdAt;
+
+  return filter;
 };
 
-// Get all orders
+// Get all orders (paginated)
 export const getAllOrders = async (req, res) => {
-  try {
-    const { userId, status } = req.query;
+  const listQuery = parseListQuery(req.query, { sortFields: ORDER_SORT_FIELDS });
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
 
-    // Build filter based on query parameters
-    const filter = {};
-    if (userId) filter.userId = userId;
-    if (status) filter.status = status;
+  const filter = buildOrderFilter(req, listQuery);
 
-    const orders = await prisma.order.findMany({
+  const [orders, total] = await Promise.all([
+    prisma.order.findMany({
       where: filter,
       include: {
         product: {
@@ -144,73 +78,116 @@ export const getAllOrders = async (req, res) => {
         },
         user: true,
       },
-      orderBy: {
-        status: "asc",
-      },
+      ...listQuery.findArgs,
+    }),
+    prisma.order.count({ where: filter }),
+  ]);
+
+  res.json(buildPage(orders, listQuery.limit, total));
+};
+
+// Export orders as CSV or XLSX (?format=csv|xlsx plus the getAllOrders
+// filters and sorting). Rows are streamed batch by batch.
+export const exportOrders = async (req, res) => {
+  const { format } = req.query;
+
+  // Exports are not paginated
+  const listQuery = parseListQuery(
+    { ...req.query, limit: undefined, cursor: undefined },
+    { sortFields: ORDER_SORT_FIELDS }
+  );
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
+
+  try {
+    // Paid orders stay in the export after being deleted
+    const rows = readOrderExportRows({
+      where: buildOrderFilter(req, listQuery, BOOKED_ORDERS_FILTER),
+      orderBy: listQuery.findArgs.orderBy,
     });
 
-    res.json(orders);
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", EXPORT_CONTENT_TYPES[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="orders-${date}.${format}"`);
+
+    if (format === EXPORT_FORMATS.XLSX) {
+      await writeOrdersXlsx(rows, res);
+    } else {
+      await writeOrdersCsv(rows, res);
+    }
   } catch (error) {
-    console.error("Error fetching orders:", error);
-    res.status(500).json({
-      error: "Failed to fetch orders",
-      details: error.message,
-    });
+    // Part of the file has been sent; cut it off so it is not mistaken for
+    // a complete export
+    if (res.headersSent) {
+      console.error("Error exporting orders:", error);
+      res.destroy(error);
+      return;
+    }
+    throw error;
   }
 };
 
 // Get a single order by ID
 export const getOrderById = async (req, res) => {
-  try {
-    const { id } = req.params;
+  const { id } = req.params;
 
-    const order = await prisma.order.findUnique({
-      where: { id },
-      include: {
-        product: {
-          include: {
-            tags: true,
-          },
+  const order = await prisma.order.findUnique({
+    where: { id, deletedAt: null },
+    include: {
+      product: {
+        include: {
+          tags: true,
         },
-        user: true,
       },
-    });
-
-    if (!order) {
-      return res.status(404).json({
-        error: "Order not found",
-      });
-    }
+      user: true,
+      items: true,
+      voucherRedemption: true,
+    },
+  });
+
+  if (!order) {
+    throw new HttpError(404, "Order not found");
+  }
 
-    res.json(order);
-  } catch (error) {
-    console.error("Error fetching order:", error);
-    res.status(500).json({
-      error: "Failed to fetch order",
-      details: error.message,
-    });
+  if (!canAccessOrder(req.user, order)) {
+    throw new HttpError(403, "You do not have access to this order");
   }
+
+  res.json(order);
 };
 
-// Get orders by user ID
+// Get orders by user ID (paginated)
 export const getOrdersByUserId = async (req, res) => {
-  try {
-    const { userId } = req.params;
+  const { userId } = req.params;
+  const { status } = req.query;
 
-    // Verify user exists
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-    });
+  if (!isAdmin(req.user) && userId !== req.user.id) {
+    throw new HttpError(403, "You do not have access to this user's orders");
+  }
 
-    if (!user) {
-      return res.status(404).json({
-        error: "User not found",
-      });
-    }
+  // Verify user exists
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user) {
+    throw new HttpError(404, "User not found");
+  }
 
-    // Get all orders for this user
-    const orders = await prisma.order.findMany({
-      where: { userId },
+  const listQuery = parseListQuery(req.query, { sortFields: ORDER_SORT_FIELDS });
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
+
+  const filter = { userId, deletedAt: null };
+  if (status) filter.status = status;
+  if (listQuery.createdAt) filter.createdAt = listQuery.createdAt;
+
+  // Get this user's orders
+  const [orders, total] = await Promise.all([
+    prisma.order.findMany({
+      where: filter,
       include: {
         product: {
           include: {
@@ -219,47 +196,85 @@ export const getOrdersByUserId = async (req, res) => {
         },
         user: true,
       },
-      orderBy: {
-        status: "asc",
-      },
-    });
+      ...listQuery.findArgs,
+    }),
+    prisma.order.count({ where: filter }),
+  ]);
 
-    res.json(orders);
-  } catch (error) {
-    console.error("Error fetching orders by user ID:", error);
-    res.status(500).json({
-      error: "Failed to fetch orders",
-      details: error.message,
-    });
-  }
+  res.json(buildPage(orders, listQuery.limit, total));
 };
 
 // Update an order
 export const updateOrder = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, weddingInfo, snapToken } = req.body;
+  const { id } = req.params;
+  const { status, reason, weddingInfo } = req.body;
 
-    // Check if order exists
-    const existingOrder = await prisma.order.findUnique({
-      where: { id },
-    });
+  // Check if order exists
+  const existingOrder = await prisma.order.findUnique({
+    where: { id, deletedAt: null },
+    include: { product: true },
+  });
 
-    if (!existingOrder) {
-      return res.status(404).json({
-        error: "Order not found",
-      });
+  if (!existingOrder) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  if (!canAccessOrder(req.user, existingOrder)) {
+    throw new HttpError(403, "You do not have access to this order");
+  }
+
+  // Only admins may move an order to another status
+  if (status !== undefined && !isAdmin(req.user)) {
+    throw new HttpError(403, "Only admins can change the order status");
+  }
+
+  const statusChanged = status !== undefined && status !== existingOrder.status;
+
+  if (statusChanged) {
+    // Refunded orders must have their money returned first, and cancelled
+    // ones their Midtrans transaction voided
+    if (status === ORDER_STATUS.REFUNDED) {
+      throw new HttpError(400, "Use POST /api/orders/:id/refund to refund an order");
+    }
+    if (status === ORDER_STATUS.CANCELLED) {
+      throw new HttpError(400, "Use POST /api/orders/:id/cancel to cancel an order");
     }
 
-    // Build update data
-    const updateData = {};
-    if (status !== undefined) updateData.status = status;
-    if (weddingInfo !== undefined) updateData.weddingInfo = weddingInfo;
-    if (snapToken !== undefined) updateData.snapToken = snapToken;
+    if (!canTransition(existingOrder.status, status)) {
+      throw new HttpError(409, `Cannot change order status from ${existingOrder.status} to ${status}`);
+    }
+  }
+
+  // Build update data
+  const updateData = {};
+  if (weddingInfo !== undefined) {
+    const { value, errors } = validateWeddingInfo(
+      getWeddingInfoSchema(existingOrder.product),
+      weddingInfo
+    );
+    if (errors) {
+      throw new HttpError(400, "Invalid weddingInfo", { fields: errors });
+    }
+    updateData.weddingInfo = value;
+  }
 
-    const order = await prisma.order.update({
+  const order = await prisma.$transaction(async (tx) => {
+    if (statusChanged) {
+      await transitionOrderStatus(tx, existingOrder, status, {
+        actorType: STATUS_ACTORS.ADMIN,
+        actorId: req.user.id,
+        reason,
+        data: updateData,
+      });
+    } else if (Object.keys(updateData).length > 0) {
+      await tx.order.update({
+        where: { id },
+        data: updateData,
+      });
+    }
+
+    return tx.order.findUnique({
       where: { id },
-      data: updateData,
       include: {
         product: {
           include: {
@@ -269,47 +284,206 @@ export const updateOrder = async (req, res) => {
         user: true,
       },
     });
+  });
 
-    res.json(order);
-  } catch (error) {
-    console.error("Error updating order:", error);
-    res.status(500).json({
-      error: "Failed to update order",
-      details: error.message,
-    });
+  if (statusChanged) {
+    notifyOrderStatusChange(id, existingOrder.status, status);
+  }
+
+  res.json(order);
+};
+
+// Get the status history of an order
+export const getOrderHistory = async (req, res) => {
+  const { id } = req.params;
+
+  const order = await prisma.order.findUnique({
+    where: { id, deletedAt: null },
+  });
+
+  if (!order) {
+    throw new HttpError(404, "Order not found");
   }
+
+  if (!canAccessOrder(req.user, order)) {
+    throw new HttpError(403, "You do not have access to this order");
+  }
+
+  const history = await prisma.orderStatusHistory.findMany({
+    where: { orderId: id },
+    orderBy: {
+      createdAt: "asc",
+    },
+  });
+
+  res.json({
+    orderId: id,
+    status: order.status,
+    history,
+  });
 };
 
-// Delete an order
+// Delete an order (soft delete, see purgeOrder)
 export const deleteOrder = async (req, res) => {
-  try {
-    const { id } = req.params;
+  const { id } = req.params;
 
-    // Check if order exists
-    const existingOrder = await prisma.order.findUnique({
-      where: { id },
-    });
+  // Check if order exists
+  const existingOrder = await prisma.order.findUnique({
+    where: { id, deletedAt: null },
+  });
+
+  if (!existingOrder) {
+    throw new HttpError(404, "Order not found");
+  }
 
-    if (!existingOrder) {
-      return res.status(404).json({
-        error: "Order not found",
+  if (!canAccessOrder(req.user, existingOrder)) {
+    throw new HttpError(403, "You do not have access to this order");
+  }
+
+  // Customers may only remove orders they have not paid for
+  if (!isAdmin(req.user) && existingOrder.status !== ORDER_STATUS.PENDING_PAYMENT) {
+    throw new HttpError(409, "Only orders awaiting payment can be deleted");
+  }
+
+  // An order awaiting payment is cancelled along with its Snap transaction,
+  // so it can no longer be paid once nobody sees it
+  if (existingOrder.status === ORDER_STATUS.PENDING_PAYMENT) {
+    try {
+      await getSnap().transaction.cancel(id);
+    } catch (midtransError) {
+      const statusCode = Number(midtransError.httpStatusCode);
+
+      if (statusCode === MIDTRANS_NOT_MODIFIABLE) {
+        throw new HttpError(409, "The order has already been paid and cannot be deleted");
+      }
+
+      // Nothing to void when no transaction was ever started
+      if (statusCode !== MIDTRANS_NOT_FOUND) {
+        console.error("Error cancelling Midtrans transaction:", midtransError);
+        throw new HttpError(502, "Midtrans could not cancel the transaction");
+      }
+    }
+  }
+
+  // Hide the order; it stays in the books and keeps its images until purged.
+  // The order is locked and read again in case a payment was applied meanwhile.
+  await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT "id" FROM "orders" WHERE "id" = ${id} FOR UPDATE`;
+    const order = await tx.order.findUnique({ where: { id } });
+    const deletedAt = new Date();
+
+    if (order.status === ORDER_STATUS.PENDING_PAYMENT) {
+      return transitionOrderStatus(tx, order, ORDER_STATUS.CANCELLED, {
+        actorType: isAdmin(req.user) ? STATUS_ACTORS.ADMIN : STATUS_ACTORS.CUSTOMER,
+        actorId: req.user.id,
+        reason: "Order deleted",
+        data: { deletedAt },
       });
     }
 
-    // Delete the order
-    await prisma.order.delete({
+    if (!isAdmin(req.user)) {
+      throw new HttpError(409, "Only orders awaiting payment can be deleted");
+    }
+
+    return tx.order.update({
       where: { id },
+      data: { deletedAt },
     });
+  });
 
-    res.json({
-      message: "Order deleted successfully",
-      id,
-    });
-  } catch (error) {
-    console.error("Error deleting order:", error);
-    res.status(500).json({
-      error: "Failed to delete order",
-      details: error.message,
-    });
+  res.json({
+    message: "Order deleted successfully",
+    id,
+  });
+};
+
+// Get deleted orders (paginated, admin only, supports ?userId=xxx and ?status=xxx)
+export const getDeletedOrders = async (req, res) => {
+  const { userId, status } = req.query;
+
+  const listQuery = parseListQuery(req.query, {
+    sortFields: DELETED_ORDER_SORT_FIELDS,
+    defaultSort: "deletedAt",
+  });
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
+
+  const filter = { deletedAt: { not: null } };
+  if (userId) filter.userId = userId;
+  if (status) filter.status = status;
+  if (listQuery.createdAt) filter.createdAt = listQuery.createdAt;
+
+  const [orders, total] = await Promise.all([
+    prisma.order.findMany({
+      where: filter,
+      include: {
+        product: true,
+        user: true,
+      },
+      ...listQuery.findArgs,
+    }),
+    prisma.order.count({ where: filter }),
+  ]);
+
+  res.json(buildPage(orders, listQuery.limit, total));
+};
+
+// Restore a deleted order (admin only)
+export const restoreOrder = async (req, res) => {
+  const { id } = req.params;
+
+  const existingOrder = await prisma.order.findUnique({
+    where: { id, deletedAt: { not: null } },
+  });
+
+  if (!existingOrder) {
+    throw new HttpError(404, "Deleted order not found");
+  }
+
+  const order = await prisma.order.update({
+    where: { id },
+    data: { deletedAt: null },
+    include: {
+      product: true,
+      user: true,
+    },
+  });
+
+  res.json(order);
+};
+
+// Permanently delete a deleted order that was never paid, its history, guests
+// and RSVPs, and its images (admin only)
+export const purgeOrder = async (req, res) => {
+  const { id } = req.params;
+
+  const existingOrder = await prisma.order.findUnique({
+    where: { id, deletedAt: { not: null } },
+  });
+
+  if (!existingOrder) {
+    throw new HttpError(404, "Deleted order not found");
+  }
+
+  // Orders that took money stay in the books. Cancelled orders never kept
+  // theirs: a settled payment has to be refunded, not cancelled.
+  if (existingOrder.paidAt && existingOrder.status !== ORDER_STATUS.CANCELLED) {
+    throw new HttpError(409, "Only orders that were never paid can be purged");
   }
+
+  await prisma.order.delete({
+    where: { id },
+  });
+
+  // Then its images; leftovers are picked up by the storage reconciliation
+  const failedUrls = await deleteFiles(existingOrder.imageUrls, ORDER_IMAGES_BUCKET);
+  if (failedUrls.length > 0) {
+    console.error(`Could not delete ${failedUrls.length} image(s) of order ${id}:`, failedUrls);
+  }
+
+  res.json({
+    message: "Order purged successfully",
+    id,
+  });
 };
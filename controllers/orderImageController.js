@@ -0,0 +1,121 @@
+import prisma from "../lib/prisma.js";
+import { HttpError } from "../lib/errors.js";
+import { uploadFiles, deleteFile, deleteFiles } from "../lib/storage/index.js";
+import {
+  ORDER_IMAGES_BUCKET,
+  MAX_ORDER_IMAGES,
+  getOrderImagesFolder,
+  isOrderImagesLocked,
+} from "../lib/orderImages.js";
+import { findImageIndex, isReorderOf } from "../lib/imageList.js";
+
+// Append images to an order (at most MAX_ORDER_IMAGES in total)
+export const addOrderImages = async (req, res) => {
+  const { order } = req;
+  const imageFiles = req.files; // Array of files
+
+  if (isOrderImagesLocked(order)) {
+    throw new HttpError(409, `Images can no longer be changed once the order is ${order.status}`);
+  }
+
+  // Validate at least one image file is provided
+  if (!imageFiles || imageFiles.length === 0) {
+    throw new HttpError(400, "At least one image file is required");
+  }
+
+  if (order.imageUrls.length + imageFiles.length > MAX_ORDER_IMAGES) {
+    throw new HttpError(400, `Maximum ${MAX_ORDER_IMAGES} images allowed (order already has ${order.imageUrls.length})`);
+  }
+
+  const uploadedImageUrls = await uploadFiles(
+    imageFiles,
+    ORDER_IMAGES_BUCKET,
+    getOrderImagesFolder(order.id)
+  );
+
+  try {
+    const updatedOrder = await prisma.order.update({
+      where: { id: order.id },
+      data: { imageUrls: { push: uploadedImageUrls } },
+    });
+
+    res.status(201).json({
+      id: updatedOrder.id,
+      imageUrls: updatedOrder.imageUrls,
+    });
+  } catch (dbError) {
+    // If the update fails, delete the images we just uploaded
+    await deleteFiles(uploadedImageUrls, ORDER_IMAGES_BUCKET);
+    throw dbError;
+  }
+};
+
+// Remove one image from an order, by URL or by index
+export const removeOrderImage = async (req, res) => {
+  const { order } = req;
+
+  if (isOrderImagesLocked(order)) {
+    throw new HttpError(409, `Images can no longer be changed once the order is ${order.status}`);
+  }
+
+  const imageIndex = findImageIndex(order.imageUrls, {
+    url: req.body?.url ?? req.query.url,
+    index: req.body?.index ?? req.query.index,
+  });
+
+  if (imageIndex === null) {
+    throw new HttpError(400, "Missing required field: url or index");
+  }
+
+  if (imageIndex === -1) {
+    throw new HttpError(404, "Image not found on this order");
+  }
+
+  if (order.imageUrls.length === 1) {
+    throw new HttpError(400, "An order must keep at least one image");
+  }
+
+  const removedUrl = order.imageUrls[imageIndex];
+  const updatedOrder = await prisma.order.update({
+    where: { id: order.id },
+    data: { imageUrls: order.imageUrls.filter((_, i) => i !== imageIndex) },
+  });
+
+  // The order no longer references the file, so a failed delete only
+  // leaves an orphan for the storage reconciliation to pick up
+  try {
+    await deleteFile(removedUrl, ORDER_IMAGES_BUCKET);
+  } catch (error) {
+    console.error("Error deleting order image:", error);
+  }
+
+  res.json({
+    id: updatedOrder.id,
+    removed: removedUrl,
+    imageUrls: updatedOrder.imageUrls,
+  });
+};
+
+// Reorder an order's images. The body lists the same URLs in the new order.
+export const reorderOrderImages = async (req, res) => {
+  const { order } = req;
+  const { imageUrls } = req.body;
+
+  if (isOrderImagesLocked(order)) {
+    throw new HttpError(409, `Images can no longer be changed once the order is ${order.status}`);
+  }
+
+  if (!isReorderOf(imageUrls, order.imageUrls)) {
+    throw new HttpError(400, "imageUrls must contain exactly the order's current image URLs");
+  }
+
+  const updatedOrder = await prisma.order.update({
+    where: { id: order.id },
+    data: { imageUrls },
+  });
+
+  res.json({
+    id: updatedOrder.id,
+    imageUrls: updatedOrder.imageUrls,
+  });
+};
@@ -1,67 +1,140 @@
+import { Prisma } from '@prisma/client';
 import prisma from '../lib/prisma.js';
-import { uploadToSupabase, uploadMultipleToSupabase, deleteFromSupabase } from '../lib/uploadToSupabase.js';
+import { HttpError } from '../lib/errors.js';
+import { uploadFile, uploadFiles, deleteFiles } from '../lib/storage/index.js';
+import { PRODUCTS_BUCKET, MAX_GALLERY_IMAGES } from '../lib/productImages.js';
+import { parseListQuery, buildPage } from '../lib/pagination.js';
+import { ORDER_STATUS, OPEN_ORDER_STATUSES } from '../lib/orderStatus.js';
+import {
+  parseJsonField,
+  validateFieldDefinitions,
+  getWeddingInfoSchema,
+  DEFAULT_WEDDING_INFO_SCHEMA
+} from '../lib/weddingInfoSchema.js';
+
+// Sort options for product listings (?sortBy=)
+const PRODUCT_SORT_FIELDS = {
+  createdAt: (order) => ({ createdAt: order }),
+  price: (order) => ({ price: order }),
+  name: (order) => ({ name: order }),
+  popularity: (order) => ({ orders: { _count: order } })
+};
+
+// Active variants and add-ons shown with a product
+const ACTIVE_OPTIONS = {
+  where: { active: true },
+  orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+};
+
+// Sort options for the deleted products listing (?sortBy=)
+const DELETED_PRODUCT_SORT_FIELDS = {
+  deletedAt: (order) => ({ deletedAt: order }),
+  createdAt: (order) => ({ createdAt: order }),
+  name: (order) => ({ name: order })
+};
+
+// Split a list query parameter given as ?tags=a,b or ?tags=a&tags=b
+const parseListParam = (value) => {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(item => item.length > 0);
+};
+
+// Build the catalog filter from search query parameters (parsed by
+// getProductsSchema)
+const buildProductFilter = (query) => {
+  const { q, tag, tags, tagMode, minPrice, maxPrice } = query;
+  // Deleted products never show up in the catalog
+  const conditions = [{ deletedAt: null }];
+
+  // Case-insensitive name search
+  if (q && q.trim()) {
+    conditions.push({ name: { contains: q.trim(), mode: 'insensitive' } });
+  }
+
+  // Price range
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    conditions.push({ price: { gte: minPrice, lte: maxPrice } });
+  }
+
+  // Tags, matching any (OR) or all (AND) of them. ?tag= is kept for
+  // backwards compatibility and behaves like a single entry in ?tags=.
+  const tagNames = [...new Set([...parseListParam(tag), ...parseListParam(tags)])];
+  if (tagNames.length > 0) {
+    if (tagMode === 'all') {
+      conditions.push(...tagNames.map(name => ({ tags: { some: { name } } })));
+    } else {
+      conditions.push({ tags: { some: { name: { in: tagNames } } } });
+    }
+  }
+
+  return { AND: conditions };
+};
 
 // Create a new product
 export const createProduct = async (req, res) => {
-  try {
-    const { name, price, tags } = req.body;
-    const files = req.files;
-
-    // Validate required fields
-    if (!name || !price) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: name, price' 
-      });
+  const { name, price, tags = [] } = req.body;
+  const files = req.files;
+
+  // Validate the optional weddingInfo form schema
+  let weddingInfoSchema;
+  if (req.body.weddingInfoSchema !== undefined) {
+    const parsed = parseJsonField(req.body.weddingInfoSchema);
+    const { fields, error } = parsed.error
+      ? { error: `weddingInfoSchema ${parsed.error}` }
+      : validateFieldDefinitions(parsed.value);
+    if (error) {
+      throw new HttpError(400, error, { fields: { weddingInfoSchema: error } });
     }
+    weddingInfoSchema = fields;
+  }
 
-    // Validate thumbnail image is provided
-    if (!files || !files.thumbnail || files.thumbnail.length === 0) {
-      return res.status(400).json({ 
-        error: 'Thumbnail image is required' 
-      });
-    }
+  // Validate thumbnail image is provided
+  if (!files || !files.thumbnail || files.thumbnail.length === 0) {
+    throw new HttpError(400, 'Thumbnail image is required');
+  }
 
-    // Validate gallery images count (max 5)
-    if (files.gallery && files.gallery.length > 5) {
-      return res.status(400).json({ 
-        error: 'Maximum 5 gallery images allowed' 
-      });
-    }
+  // Validate gallery images count
+  if (files.gallery && files.gallery.length > MAX_GALLERY_IMAGES) {
+    throw new HttpError(400, `Maximum ${MAX_GALLERY_IMAGES} gallery images allowed`);
+  }
 
+  const uploadedUrls = [];
+  let product;
+
+  try {
     // Upload thumbnail image
-    const thumbnailUrl = await uploadToSupabase(
-      files.thumbnail[0].buffer,
-      files.thumbnail[0].originalname,
-      'products',
+    const thumbnailUrl = await uploadFile(
+      files.thumbnail[0],
+      PRODUCTS_BUCKET,
       'thumbnails'
     );
+    uploadedUrls.push(thumbnailUrl);
 
     // Upload gallery images if provided
     let galleryUrls = [];
     if (files.gallery && files.gallery.length > 0) {
-      galleryUrls = await uploadMultipleToSupabase(
+      galleryUrls = await uploadFiles(
         files.gallery,
-        'products',
+        PRODUCTS_BUCKET,
         'gallery'
       );
+      uploadedUrls.push(...galleryUrls);
     }
 
-    // Parse tags if provided
-    const normalizedTags = tags && tags.length > 0 
-      ? (typeof tags === 'string' ? JSON.parse(tags) : tags)
-          .map(tagName => tagName.trim().toLowerCase())
-          .filter(tag => tag.length > 0)
-      : [];
-
     // Create product with images and optional tags
-    const product = await prisma.product.create({
+    product = await prisma.product.create({
       data: {
         name,
-        price: parseFloat(price),
+        price,
         thumbnail: thumbnailUrl,
         galleryUrls: galleryUrls,
-        tags: normalizedTags.length > 0 ? {
-          connectOrCreate: normalizedTags.map(tagName => ({
+        weddingInfoSchema,
+        tags: tags.length > 0 ? {
+          connectOrCreate: tags.map(tagName => ({
             where: { name: tagName },
             create: { name: tagName }
           }))
@@ -71,250 +144,315 @@ export const createProduct = async (req, res) => {
         tags: true
       }
     });
-
-    res.status(201).json(product);
-  } catch (error) {
-    console.error('Error creating product:', error);
-    res.status(500).json({ 
-      error: 'Failed to create product',
-      details: error.message 
-    });
+  } catch (createError) {
+    // Don't leave the uploaded images behind
+    await deleteFiles(uploadedUrls, PRODUCTS_BUCKET);
+    throw createError;
   }
+
+  res.status(201).json(product);
 };
 
-// Get all products
+// Get all products (paginated)
 export const getAllProducts = async (req, res) => {
-  try {
-    const { tag } = req.query;
+  const listQuery = parseListQuery(req.query, {
+    sortFields: PRODUCT_SORT_FIELDS,
+    defaultSort: 'name',
+    defaultOrder: 'asc'
+  });
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
 
-    // Build filter based on query parameters
-    const filter = tag ? {
-      tags: {
-        some: {
-          name: tag
-        }
-      }
-    } : {};
+  // Build filter based on query parameters
+  const filter = buildProductFilter(req.query);
+  if (listQuery.createdAt) filter.createdAt = listQuery.createdAt;
 
-    const products = await prisma.product.findMany({
+  const [products, total] = await Promise.all([
+    prisma.product.findMany({
       where: filter,
       include: {
         tags: true,
+        variants: ACTIVE_OPTIONS,
         _count: {
           select: { orders: true }
         }
       },
-      orderBy: {
-        name: 'asc'
-      }
-    });
+      ...listQuery.findArgs
+    }),
+    prisma.product.count({ where: filter })
+  ]);
 
-    res.json(products);
-  } catch (error) {
-    console.error('Error fetching products:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch products',
-      details: error.message 
-    });
-  }
+  res.json(buildPage(products, listQuery.limit, total));
 };
 
 // Get a single product by ID
 export const getProductById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const product = await prisma.product.findUnique({
-      where: { id },
-      include: {
-        tags: true,
-        orders: {
-          include: {
-            user: {
-              select: {
-                id: true,
-                name: true
-              }
-            }
-          }
-        }
+  const { id } = req.params;
+
+  const product = await prisma.product.findUnique({
+    where: { id, deletedAt: null },
+    include: {
+      tags: true,
+      variants: ACTIVE_OPTIONS,
+      addons: ACTIVE_OPTIONS,
+      // Only expose how many orders exist; the orders themselves belong to
+      // their customers
+      _count: {
+        select: { orders: true }
       }
-    });
-
-    if (!product) {
-      return res.status(404).json({ 
-        error: 'Product not found' 
-      });
     }
+  });
 
-    res.json(product);
-  } catch (error) {
-    console.error('Error fetching product:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch product',
-      details: error.message 
-    });
+  if (!product) {
+    throw new HttpError(404, 'Product not found');
   }
-};
 
-// Update a product
-export const updateProduct = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, price, tags } = req.body;
-    const files = req.files;
+  res.json(product);
+};
 
-    // Check if product exists
-    const existingProduct = await prisma.product.findUnique({
-      where: { id },
-      include: { tags: true }
-    });
+// Get the weddingInfo form schema of a product
+export const getProductFormSchema = async (req, res) => {
+  const { id } = req.params;
 
-    if (!existingProduct) {
-      return res.status(404).json({ 
-        error: 'Product not found' 
-      });
+  const product = await prisma.product.findUnique({
+    where: { id, deletedAt: null },
+    select: {
+      id: true,
+      weddingInfoSchema: true
     }
+  });
 
-    // Build update data
-    const updateData = {};
-    if (name !== undefined) updateData.name = name;
-    if (price !== undefined) updateData.price = parseFloat(price);
+  if (!product) {
+    throw new HttpError(404, 'Product not found');
+  }
 
-    // Handle thumbnail update
-    if (files && files.thumbnail && files.thumbnail.length > 0) {
-      // Delete old thumbnail from Supabase
-      if (existingProduct.thumbnail) {
-        try {
-          await deleteFromSupabase(existingProduct.thumbnail, 'products');
-        } catch (error) {
-          console.error('Error deleting old thumbnail:', error);
-        }
-      }
+  const fields = getWeddingInfoSchema(product);
 
-      // Upload new thumbnail
-      updateData.thumbnail = await uploadToSupabase(
-        files.thumbnail[0].buffer,
-        files.thumbnail[0].originalname,
-        'products',
-        'thumbnails'
-      );
-    }
+  res.json({
+    productId: product.id,
+    isDefault: fields === DEFAULT_WEDDING_INFO_SCHEMA,
+    fields
+  });
+};
 
-    // Handle gallery update
-    if (files && files.gallery) {
-      // Validate gallery images count (max 5)
-      if (files.gallery.length > 5) {
-        return res.status(400).json({ 
-          error: 'Maximum 5 gallery images allowed' 
-        });
-      }
+// Update a product. A new thumbnail replaces the old one; gallery images are
+// added, removed and reordered through productGalleryController.js.
+export const updateProduct = async (req, res) => {
+  const { id } = req.params;
+  const { name, price, tags } = req.body;
+  const files = req.files;
+
+  // Check if product exists
+  const existingProduct = await prisma.product.findUnique({
+    where: { id, deletedAt: null },
+    include: { tags: true }
+  });
+
+  if (!existingProduct) {
+    throw new HttpError(404, 'Product not found');
+  }
 
-      // Delete old gallery images from Supabase
-      if (existingProduct.galleryUrls && existingProduct.galleryUrls.length > 0) {
-        for (const imageUrl of existingProduct.galleryUrls) {
-          try {
-            await deleteFromSupabase(imageUrl, 'products');
-          } catch (error) {
-            console.error('Error deleting old gallery image:', error);
-          }
-        }
+  // Build update data
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (price !== undefined) updateData.price = price;
+
+  // Replace the weddingInfo form schema (null resets to the default form)
+  if (req.body.weddingInfoSchema !== undefined) {
+    const parsed = parseJsonField(req.body.weddingInfoSchema);
+    if (parsed.value === null) {
+      updateData.weddingInfoSchema = Prisma.DbNull;
+    } else {
+      const { fields, error } = parsed.error
+        ? { error: `weddingInfoSchema ${parsed.error}` }
+        : validateFieldDefinitions(parsed.value);
+      if (error) {
+        throw new HttpError(400, error, { fields: { weddingInfoSchema: error } });
       }
-
-      // Upload new gallery images
-      updateData.galleryUrls = await uploadMultipleToSupabase(
-        files.gallery,
-        'products',
-        'gallery'
-      );
+      updateData.weddingInfoSchema = fields;
     }
+  }
+
+  // Handle tags update if provided (normalized by updateProductSchema)
+  if (tags !== undefined) {
+    // First, disconnect all existing tags
+    updateData.tags = {
+      set: [], // Remove all existing connections
+      connectOrCreate: tags.map(tagName => ({
+        where: { name: tagName },
+        create: { name: tagName }
+      }))
+    };
+  }
 
-    // Handle tags update if provided
-    if (tags !== undefined) {
-      // Normalize tags to lowercase for consistency
-      const parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
-      const normalizedTags = parsedTags
-        .map(tagName => tagName.trim().toLowerCase())
-        .filter(tag => tag.length > 0);
-      
-      // First, disconnect all existing tags
-      updateData.tags = {
-        set: [], // Remove all existing connections
-        connectOrCreate: normalizedTags.map(tagName => ({
-          where: { name: tagName },
-          create: { name: tagName }
-        }))
-      };
+  // Upload the new thumbnail first. The replaced file is only deleted once
+  // the database points at the new one; the upload is removed if it fails.
+  const uploadedUrls = [];
+  const replacedUrls = [];
+  let product;
+
+  try {
+    // Handle thumbnail update
+    if (files && files.thumbnail && files.thumbnail.length > 0) {
+      updateData.thumbnail = await uploadFile(
+        files.thumbnail[0],
+        PRODUCTS_BUCKET,
+        'thumbnails'
+      );
+      uploadedUrls.push(updateData.thumbnail);
+      if (existingProduct.thumbnail) replacedUrls.push(existingProduct.thumbnail);
     }
 
-    const product = await prisma.product.update({
+    product = await prisma.product.update({
       where: { id },
       data: updateData,
       include: {
         tags: true
       }
     });
+  } catch (updateError) {
+    await deleteFiles(uploadedUrls, PRODUCTS_BUCKET);
+    throw updateError;
+  }
 
-    res.json(product);
-  } catch (error) {
-    console.error('Error updating product:', error);
-    res.status(500).json({ 
-      error: 'Failed to update product',
-      details: error.message 
-    });
+  // Delete the replaced thumbnail; leftovers are picked up by the storage reconciliation
+  const failedUrls = await deleteFiles(replacedUrls, PRODUCTS_BUCKET);
+  if (failedUrls.length > 0) {
+    console.error(`Could not delete the old thumbnail of product ${id}:`, failedUrls);
   }
+
+  res.json(product);
 };
 
-// Delete a product
+// Delete a product. The product is only hidden; its images stay until it is
+// purged, and its orders are kept.
 export const deleteProduct = async (req, res) => {
-  try {
-    const { id } = req.params;
+  const { id } = req.params;
 
-    // Check if product exists
-    const existingProduct = await prisma.product.findUnique({
-      where: { id }
-    });
+  // Check if product exists
+  const existingProduct = await prisma.product.findUnique({
+    where: { id, deletedAt: null }
+  });
 
-    if (!existingProduct) {
-      return res.status(404).json({ 
-        error: 'Product not found' 
-      });
-    }
+  if (!existingProduct) {
+    throw new HttpError(404, 'Product not found');
+  }
 
-    // Delete thumbnail from Supabase Storage
-    if (existingProduct.thumbnail) {
-      try {
-        await deleteFromSupabase(existingProduct.thumbnail, 'products');
-      } catch (error) {
-        console.error('Error deleting thumbnail:', error);
-      }
+  // Orders that still have to be paid or delivered, or that were paid for,
+  // keep their product
+  const blockingOrders = await prisma.order.count({
+    where: {
+      productId: id,
+      OR: [
+        { deletedAt: null, status: { in: OPEN_ORDER_STATUSES } },
+        { status: ORDER_STATUS.COMPLETED },
+        { paidAt: { not: null } }
+      ]
     }
+  });
 
-    // Delete gallery images from Supabase Storage
-    if (existingProduct.galleryUrls && existingProduct.galleryUrls.length > 0) {
-      for (const imageUrl of existingProduct.galleryUrls) {
-        try {
-          await deleteFromSupabase(imageUrl, 'products');
-        } catch (error) {
-          console.error('Error deleting gallery image:', error);
+  if (blockingOrders > 0) {
+    throw new HttpError(409, `Product has ${blockingOrders} open, paid or completed order(s) and cannot be deleted`);
+  }
+
+  await prisma.product.update({
+    where: { id },
+    data: { deletedAt: new Date() }
+  });
+
+  res.json({ 
+    message: 'Product deleted successfully',
+    id 
+  });
+};
+
+// Get deleted products (paginated, admin only)
+export const getDeletedProducts = async (req, res) => {
+  const listQuery = parseListQuery(req.query, {
+    sortFields: DELETED_PRODUCT_SORT_FIELDS,
+    defaultSort: 'deletedAt'
+  });
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
+
+  const filter = { deletedAt: { not: null } };
+  if (listQuery.createdAt) filter.createdAt = listQuery.createdAt;
+
+  const [products, total] = await Promise.all([
+    prisma.product.findMany({
+      where: filter,
+      include: {
+        tags: true,
+        _count: {
+          select: { orders: true }
         }
+      },
+      ...listQuery.findArgs
+    }),
+    prisma.product.count({ where: filter })
+  ]);
+
+  res.json(buildPage(products, listQuery.limit, total));
+};
+
+// Restore a deleted product (admin only)
+export const restoreProduct = async (req, res) => {
+  const { id } = req.params;
+
+  const existingProduct = await prisma.product.findUnique({
+    where: { id, deletedAt: { not: null } }
+  });
+
+  if (!existingProduct) {
+    throw new HttpError(404, 'Deleted product not found');
+  }
+
+  const product = await prisma.product.update({
+    where: { id },
+    data: { deletedAt: null },
+    include: { tags: true }
+  });
+
+  res.json(product);
+};
+
+// Permanently delete a deleted product and its images (admin only). Products
+// that orders still refer to, deleted or not, cannot be purged.
+export const purgeProduct = async (req, res) => {
+  const { id } = req.params;
+
+  const existingProduct = await prisma.product.findUnique({
+    where: { id, deletedAt: { not: null } },
+    include: {
+      _count: {
+        select: { orders: true }
       }
     }
+  });
 
-    // Delete the product (orders will be cascade deleted)
-    await prisma.product.delete({
-      where: { id }
-    });
+  if (!existingProduct) {
+    throw new HttpError(404, 'Deleted product not found');
+  }
 
-    res.json({ 
-      message: 'Product deleted successfully',
-      id 
-    });
-  } catch (error) {
-    console.error('Error deleting product:', error);
-    res.status(500).json({ 
-      error: 'Failed to delete product',
-      details: error.message 
-    });
+  if (existingProduct._count.orders > 0) {
+    throw new HttpError(409, `Product is referenced by ${existingProduct._count.orders} order(s) and cannot be purged`);
   }
+
+  await prisma.product.delete({
+    where: { id }
+  });
+
+  // Then its images; leftovers are picked up by the storage reconciliation
+  const imageUrls = [existingProduct.thumbnail, ...existingProduct.galleryUrls].filter(Boolean);
+  const failedUrls = await deleteFiles(imageUrls, PRODUCTS_BUCKET);
+  if (failedUrls.length > 0) {
+    console.error(`Could not delete ${failedUrls.length} image(s) of product ${id}:`, failedUrls);
+  }
+
+  res.json({ 
+    message: 'Product purged successfully',
+    id 
+  });
 };
@@ -0,0 +1,163 @@
+import prisma from '../lib/prisma.js';
+import { HttpError } from '../lib/errors.js';
+import { uploadFiles, deleteFile, deleteFiles } from '../lib/storage/index.js';
+import { PRODUCTS_BUCKET, MAX_GALLERY_IMAGES } from '../lib/productImages.js';
+import { findImageIndex, isReorderOf } from '../lib/imageList.js';
+
+// Delete a file that is no longer referenced. A failure only leaves an
+// orphan for the storage reconciliation to pick up.
+const deleteUnreferencedFile = async (fileUrl) => {
+  try {
+    await deleteFile(fileUrl, PRODUCTS_BUCKET);
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+  }
+};
+
+// Find a gallery image from ?url= / body.url or ?index= / body.index
+const findGalleryImage = (req, galleryUrls) => findImageIndex(galleryUrls, {
+  url: req.body?.url ?? req.query.url,
+  index: req.body?.index ?? req.query.index
+});
+
+// Append images to a product gallery (at most MAX_GALLERY_IMAGES in total)
+export const addGalleryImages = async (req, res) => {
+  const { id } = req.params;
+  const files = req.files; // Array of files
+
+  // Check if product exists
+  const existingProduct = await prisma.product.findUnique({
+    where: { id, deletedAt: null }
+  });
+
+  if (!existingProduct) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  // Validate at least one image file is provided
+  if (!files || files.length === 0) {
+    throw new HttpError(400, 'At least one gallery image is required');
+  }
+
+  if (existingProduct.galleryUrls.length + files.length > MAX_GALLERY_IMAGES) {
+    throw new HttpError(400, `Maximum ${MAX_GALLERY_IMAGES} gallery images allowed (product already has ${existingProduct.galleryUrls.length})`);
+  }
+
+  const uploadedUrls = await uploadFiles(files, PRODUCTS_BUCKET, 'gallery');
+
+  try {
+    const product = await prisma.product.update({
+      where: { id },
+      data: { galleryUrls: { push: uploadedUrls } },
+      include: { tags: true }
+    });
+
+    res.status(201).json(product);
+  } catch (dbError) {
+    // If the update fails, delete the images we just uploaded
+    await deleteFiles(uploadedUrls, PRODUCTS_BUCKET);
+    throw dbError;
+  }
+};
+
+// Remove one gallery image, by URL or by index
+export const removeGalleryImage = async (req, res) => {
+  const { id } = req.params;
+
+  // Check if product exists
+  const existingProduct = await prisma.product.findUnique({
+    where: { id, deletedAt: null }
+  });
+
+  if (!existingProduct) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const imageIndex = findGalleryImage(req, existingProduct.galleryUrls);
+
+  if (imageIndex === null) {
+    throw new HttpError(400, 'Missing required field: url or index');
+  }
+
+  if (imageIndex === -1) {
+    throw new HttpError(404, 'Image not found in this gallery');
+  }
+
+  const removedUrl = existingProduct.galleryUrls[imageIndex];
+  const product = await prisma.product.update({
+    where: { id },
+    data: { galleryUrls: existingProduct.galleryUrls.filter((_, i) => i !== imageIndex) },
+    include: { tags: true }
+  });
+
+  await deleteUnreferencedFile(removedUrl);
+
+  res.json(product);
+};
+
+// Reorder a product gallery. The body lists the same URLs in the new order.
+export const reorderGallery = async (req, res) => {
+  const { id } = req.params;
+  const { galleryUrls } = req.body;
+
+  // Check if product exists
+  const existingProduct = await prisma.product.findUnique({
+    where: { id, deletedAt: null }
+  });
+
+  if (!existingProduct) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  if (!isReorderOf(galleryUrls, existingProduct.galleryUrls)) {
+    throw new HttpError(400, "galleryUrls must contain exactly the product's current gallery URLs");
+  }
+
+  const product = await prisma.product.update({
+    where: { id },
+    data: { galleryUrls },
+    include: { tags: true }
+  });
+
+  res.json(product);
+};
+
+// Make a gallery image the product thumbnail. The image leaves the gallery
+// and the old thumbnail is deleted from storage.
+export const promoteGalleryImage = async (req, res) => {
+  const { id } = req.params;
+
+  // Check if product exists
+  const existingProduct = await prisma.product.findUnique({
+    where: { id, deletedAt: null }
+  });
+
+  if (!existingProduct) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const imageIndex = findGalleryImage(req, existingProduct.galleryUrls);
+
+  if (imageIndex === null) {
+    throw new HttpError(400, 'Missing required field: url or index');
+  }
+
+  if (imageIndex === -1) {
+    throw new HttpError(404, 'Image not found in this gallery');
+  }
+
+  const product = await prisma.product.update({
+    where: { id },
+    data: {
+      thumbnail: existingProduct.galleryUrls[imageIndex],
+      galleryUrls: existingProduct.galleryUrls.filter((_, i) => i !== imageIndex)
+    },
+    include: { tags: true }
+  });
+
+  if (existingProduct.thumbnail) {
+    await deleteUnreferencedFile(existingProduct.thumbnail);
+  }
+
+  res.json(product);
+};
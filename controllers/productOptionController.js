@@ -0,0 +1,158 @@
+import prisma from '../lib/prisma.js';
+import { HttpError } from '../lib/errors.js';
+
+const OPTION_ORDER = [{ sortOrder: 'asc' }, { createdAt: 'asc' }];
+
+// Check that the product from :id exists and is not deleted
+const findProduct = (id) => prisma.product.findUnique({
+  where: { id, deletedAt: null },
+  select: { id: true }
+});
+
+// Get all variants of a product, including inactive ones (admin only)
+export const getProductVariants = async (req, res) => {
+  const { id } = req.params;
+
+  if (!await findProduct(id)) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const variants = await prisma.productVariant.findMany({
+    where: { productId: id },
+    orderBy: OPTION_ORDER
+  });
+
+  res.json(variants);
+};
+
+// Add a variant to a product
+export const createProductVariant = async (req, res) => {
+  const { id } = req.params;
+
+  if (!await findProduct(id)) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const variant = await prisma.productVariant.create({
+    data: { ...req.body, productId: id }
+  });
+
+  res.status(201).json(variant);
+};
+
+// Update a variant of a product
+export const updateProductVariant = async (req, res) => {
+  const { id, variantId } = req.params;
+
+  const existingVariant = await prisma.productVariant.findUnique({
+    where: { id: variantId }
+  });
+
+  if (!existingVariant || existingVariant.productId !== id) {
+    throw new HttpError(404, 'Variant not found');
+  }
+
+  const variant = await prisma.productVariant.update({
+    where: { id: variantId },
+    data: req.body
+  });
+
+  res.json(variant);
+};
+
+// Delete a variant of a product. Existing orders keep their copy of its name
+// and price.
+export const deleteProductVariant = async (req, res) => {
+  const { id, variantId } = req.params;
+
+  const existingVariant = await prisma.productVariant.findUnique({
+    where: { id: variantId }
+  });
+
+  if (!existingVariant || existingVariant.productId !== id) {
+    throw new HttpError(404, 'Variant not found');
+  }
+
+  await prisma.productVariant.delete({
+    where: { id: variantId }
+  });
+
+  res.json({ 
+    message: 'Variant deleted successfully',
+    id: variantId 
+  });
+};
+
+// Get all add-ons of a product, including inactive ones (admin only)
+export const getProductAddons = async (req, res) => {
+  const { id } = req.params;
+
+  if (!await findProduct(id)) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const addons = await prisma.productAddon.findMany({
+    where: { productId: id },
+    orderBy: OPTION_ORDER
+  });
+
+  res.json(addons);
+};
+
+// Add an add-on to a product
+export const createProductAddon = async (req, res) => {
+  const { id } = req.params;
+
+  if (!await findProduct(id)) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const addon = await prisma.productAddon.create({
+    data: { ...req.body, productId: id }
+  });
+
+  res.status(201).json(addon);
+};
+
+// Update an add-on of a product
+export const updateProductAddon = async (req, res) => {
+  const { id, addonId } = req.params;
+
+  const existingAddon = await prisma.productAddon.findUnique({
+    where: { id: addonId }
+  });
+
+  if (!existingAddon || existingAddon.productId !== id) {
+    throw new HttpError(404, 'Add-on not found');
+  }
+
+  const addon = await prisma.productAddon.update({
+    where: { id: addonId },
+    data: req.body
+  });
+
+  res.json(addon);
+};
+
+// Delete an add-on of a product. Existing orders keep their copy of its name
+// and price.
+export const deleteProductAddon = async (req, res) => {
+  const { id, addonId } = req.params;
+
+  const existingAddon = await prisma.productAddon.findUnique({
+    where: { id: addonId }
+  });
+
+  if (!existingAddon || existingAddon.productId !== id) {
+    throw new HttpError(404, 'Add-on not found');
+  }
+
+  await prisma.productAddon.delete({
+    where: { id: addonId }
+  });
+
+  res.json({ 
+    message: 'Add-on deleted successfully',
+    id: addonId 
+  });
+};
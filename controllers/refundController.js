@@ -0,0 +1,171 @@
+import { Prisma } from "@prisma/client";
+import { v4 as uuidv4 } from "uuid";
+import prisma from "../lib/prisma.js";
+import { HttpError } from "../lib/errors.js";
+import { getSnap } from "../lib/midtrans.js";
+import { ORDER_STATUS, STATUS_ACTORS, canTransition, transitionOrderStatus } from "../lib/orderStatus.js";
+import {
+  REFUND_STATUSES,
+  wasOrderPaid,
+  getRefundTotals,
+  settleFullRefund,
+} from "../lib/refunds.js";
+
+// Midtrans answers 404 for orders whose customer never opened the payment
+// page, and 412 when a settled transaction can no longer be cancelled
+const MIDTRANS_NOT_FOUND = 404;
+const MIDTRANS_NOT_MODIFIABLE = 412;
+
+// Cancel an order and void its Midtrans transaction (admin only). Settled
+// payments cannot be cancelled at Midtrans and have to be refunded instead.
+export const cancelOrder = async (req, res) => {
+  const { order } = req;
+
+  const { reason } = req.body;
+
+  if (!canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+    throw new HttpError(409, `Cannot cancel an order that is ${order.status}`);
+  }
+
+  try {
+    await getSnap().transaction.cancel(order.id);
+  } catch (midtransError) {
+    const statusCode = Number(midtransError.httpStatusCode);
+
+    if (statusCode === MIDTRANS_NOT_MODIFIABLE) {
+      throw new HttpError(409, "The payment has already settled and cannot be cancelled; refund it instead");
+    }
+
+    // Nothing to void when no transaction was ever started
+    if (!(statusCode === MIDTRANS_NOT_FOUND && order.status === ORDER_STATUS.PENDING_PAYMENT)) {
+      console.error("Error cancelling Midtrans transaction:", midtransError);
+      throw new HttpError(502, "Midtrans could not cancel the transaction");
+    }
+  }
+
+  const updatedOrder = await prisma.$transaction((tx) =>
+    transitionOrderStatus(tx, order, ORDER_STATUS.CANCELLED, {
+      actorType: STATUS_ACTORS.ADMIN,
+      actorId: req.user.id,
+      reason,
+    })
+  );
+
+  res.json(updatedOrder);
+};
+
+// Refund all or part of an order's payment through Midtrans (admin only).
+// Once the whole amount is refunded the order moves to "refunded".
+export const refundOrder = async (req, res) => {
+  const { order } = req;
+  const { reason } = req.body;
+
+  if (order.status === ORDER_STATUS.REFUNDED) {
+    throw new HttpError(409, "Order has already been fully refunded");
+  }
+
+  if (!(await wasOrderPaid(prisma, order))) {
+    throw new HttpError(409, "Only paid orders can be refunded");
+  }
+
+  // Reserve the amount first so two refunds cannot exceed the payment
+  const refundKey = uuidv4();
+  let reserved;
+  try {
+    reserved = await prisma.$transaction(
+      async (tx) => {
+        const { refundable } = await getRefundTotals(tx, order);
+        const amount = req.body.amount ?? refundable;
+
+        if (refundable === 0) {
+          throw new HttpError(409, "Nothing left to refund on this order");
+        }
+        if (amount > refundable) {
+          throw new HttpError(400, `Invalid amount: must be a whole number between 1 and ${refundable}`, {
+            fields: { amount: `must be at most ${refundable}` },
+          });
+        }
+
+        return tx.refund.create({
+          data: {
+            orderId: order.id,
+            refundKey,
+            amount,
+            reason,
+            status: REFUND_STATUSES.PENDING,
+            actorType: STATUS_ACTORS.ADMIN,
+            actorId: req.user.id,
+          },
+        });
+      },
+      { isolationLevel: Prisma.TransactionIsolationLevel.Serializable }
+    );
+  } catch (error) {
+    // Lost a race with another refund of the same order
+    if (error.code === "P2034") {
+      throw new HttpError(409, "Another refund of this order is in progress, please try again");
+    }
+    throw error;
+  }
+
+  let response;
+  try {
+    response = await getSnap().transaction.refund(order.id, {
+      refund_key: refundKey,
+      amount: reserved.amount,
+      reason,
+    });
+  } catch (midtransError) {
+    console.error("Error refunding Midtrans transaction:", midtransError);
+    await prisma.refund.update({
+      where: { id: reserved.id },
+      data: {
+        status: REFUND_STATUSES.FAILED,
+        failureMessage: midtransError.message.slice(0, 1000),
+      },
+    });
+
+    throw new HttpError(502, "Midtrans could not refund the transaction");
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    const refund = await tx.refund.update({
+      where: { id: reserved.id },
+      data: {
+        status: REFUND_STATUSES.SUCCEEDED,
+        midtransRefundId: response.refund_chargeback_id ? String(response.refund_chargeback_id) : null,
+      },
+    });
+
+    const currentOrder = await tx.order.findUnique({ where: { id: order.id } });
+    const updatedOrder = await settleFullRefund(tx, currentOrder, {
+      actorType: STATUS_ACTORS.ADMIN,
+      actorId: req.user.id,
+      reason,
+    });
+
+    return { refund, order: updatedOrder };
+  });
+
+  res.status(201).json(result);
+};
+
+// Get the refunds of an order with the refunded and refundable amounts
+export const getOrderRefunds = async (req, res) => {
+  const { order } = req;
+
+  const [refunds, totals] = await Promise.all([
+    prisma.refund.findMany({
+      where: { orderId: order.id },
+      orderBy: { createdAt: "asc" },
+    }),
+    getRefundTotals(prisma, order),
+  ]);
+
+  res.json({
+    orderId: order.id,
+    status: order.status,
+    ...totals,
+    refunds,
+  });
+};
@@ -0,0 +1,149 @@
+import prisma from "../lib/prisma.js";
+import { HttpError } from "../lib/errors.js";
+import { isInvitationVisible } from "../lib/invitation.js";
+import { parseListQuery, buildPage } from "../lib/pagination.js";
+import { toNameKey, RSVP_ATTENDANCE } from "../lib/guests.js";
+
+const RSVP_SORT_FIELDS = {
+  createdAt: (order) => ({ createdAt: order }),
+  name: (order) => ({ name: order }),
+};
+
+// Submit an RSVP for a published invitation (public). Guests invited with a
+// personalized link send their token (body.token or ?to=) instead of a name.
+// Declined RSVPs come with attendees set to 0 by submitRsvpSchema.
+export const submitRsvp = async (req, res) => {
+  const { slug } = req.params;
+  const { attendance, attendees, message } = req.body;
+  const token = req.body.token || req.query.to;
+
+  const order = await prisma.order.findUnique({
+    where: { slug },
+  });
+
+  if (!isInvitationVisible(order)) {
+    throw new HttpError(404, "Invitation not found");
+  }
+
+  let guest = null;
+  if (token) {
+    guest = await prisma.guest.findUnique({
+      where: { token },
+    });
+
+    if (!guest || guest.orderId !== order.id) {
+      throw new HttpError(400, "Invalid guest token", { fields: { token: "does not belong to this invitation" } });
+    }
+  }
+
+  const name = guest ? guest.name : req.body.name;
+
+  if (!name) {
+    throw new HttpError(400, "Missing required field: name", { fields: { name: "is required without a guest token" } });
+  }
+
+  const nameKey = toNameKey(name);
+
+  // One RSVP per guest (or guest name) and invitation
+  const existingRsvp = await prisma.rsvp.findFirst({
+    where: {
+      orderId: order.id,
+      OR: guest ? [{ nameKey }, { guestId: guest.id }] : [{ nameKey }],
+    },
+  });
+
+  if (existingRsvp) {
+    throw new HttpError(409, "An RSVP has already been submitted for this name");
+  }
+
+  let rsvp;
+  try {
+    rsvp = await prisma.rsvp.create({
+      data: {
+        orderId: order.id,
+        guestId: guest ? guest.id : null,
+        name: name.trim(),
+        nameKey,
+        attendance,
+        attendees,
+        message: message || null,
+      },
+      select: {
+        id: true,
+        name: true,
+        attendance: true,
+        attendees: true,
+        message: true,
+        createdAt: true,
+      },
+    });
+  } catch (error) {
+    // Two submissions for the same name racing each other
+    if (error.code === "P2002") {
+      throw new HttpError(409, "An RSVP has already been submitted for this name");
+    }
+    throw error;
+  }
+
+  res.status(201).json(rsvp);
+};
+
+// Get the RSVPs of an order (paginated, supports ?attendance=xxx and ?q=name)
+export const getOrderRsvps = async (req, res) => {
+  const { order } = req;
+
+  const { attendance, q } = req.query;
+
+  const listQuery = parseListQuery(req.query, { sortFields: RSVP_SORT_FIELDS });
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
+
+  // Build filter based on query parameters
+  const filter = { orderId: order.id };
+  if (attendance) filter.attendance = attendance;
+  if (q && q.trim()) filter.name = { contains: q.trim(), mode: "insensitive" };
+  if (listQuery.createdAt) filter.createdAt = listQuery.createdAt;
+
+  const [rsvps, total] = await Promise.all([
+    prisma.rsvp.findMany({
+      where: filter,
+      ...listQuery.findArgs,
+    }),
+    prisma.rsvp.count({ where: filter }),
+  ]);
+
+  res.json(buildPage(rsvps, listQuery.limit, total));
+};
+
+// Summarize the RSVPs of an order
+export const getOrderRsvpSummary = async (req, res) => {
+  const { order } = req;
+
+  const groups = await prisma.rsvp.groupBy({
+    by: ["attendance"],
+    where: { orderId: order.id },
+    _count: { _all: true },
+    _sum: { attendees: true },
+  });
+
+  const summary = {
+    orderId: order.id,
+    responses: 0,
+    attending: 0,
+    declined: 0,
+    headcount: 0,
+  };
+
+  for (const group of groups) {
+    summary.responses += group._count._all;
+    if (group.attendance === RSVP_ATTENDANCE.ATTENDING) {
+      summary.attending = group._count._all;
+      summary.headcount = group._sum.attendees || 0;
+    } else if (group.attendance === RSVP_ATTENDANCE.DECLINED) {
+      summary.declined = group._count._all;
+    }
+  }
+
+  res.json(summary);
+};
@@ -0,0 +1,11 @@
+import { getOrderStats } from "../lib/orderStats.js";
+
+// Get revenue, order funnel and product popularity statistics (supports
+// ?from= and ?to= ISO dates, default the last 30 days, and ?top=)
+export const getStats = async (req, res) => {
+  const { from, to, top } = req.query;
+
+  const stats = await getOrderStats({ from, to, top });
+
+  res.json(stats);
+};
@@ -0,0 +1,11 @@
+import { reconcileStorage } from '../lib/storageReconciliation.js';
+
+// Report orphaned files and dangling URLs. Dry run unless { apply: true },
+// which also deletes the orphans.
+export const reconcileStorageFiles = async (req, res) => {
+  const { apply, minAgeMinutes } = req.body;
+
+  const report = await reconcileStorage({ apply, minAgeMinutes });
+
+  res.json(report);
+};
@@ -0,0 +1,48 @@
+import prisma from '../lib/prisma.js';
+import { HttpError } from '../lib/errors.js';
+
+// Get all users (supports ?role=xxx query)
+export const getAllUsers = async (req, res) => {
+  const { role } = req.query;
+
+  const users = await prisma.user.findMany({
+    where: role ? { role } : {},
+    include: {
+      _count: {
+        select: { orders: true }
+      }
+    },
+    orderBy: {
+      name: 'asc'
+    }
+  });
+
+  res.json(users);
+};
+
+// Promote or demote a user
+export const updateUserRole = async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  // Prevent admins from locking themselves out
+  if (id === req.user.id) {
+    throw new HttpError(400, 'You cannot change your own role');
+  }
+
+  // Check if user exists
+  const existingUser = await prisma.user.findUnique({
+    where: { id }
+  });
+
+  if (!existingUser) {
+    throw new HttpError(404, 'User not found');
+  }
+
+  const user = await prisma.user.update({
+    where: { id },
+    data: { role }
+  });
+
+  res.json(user);
+};
@@ -0,0 +1,248 @@
+import prisma from "../lib/prisma.js";
+import { HttpError } from "../lib/errors.js";
+import { parseListQuery, buildPage } from "../lib/pagination.js";
+import { ORDER_STATUS } from "../lib/orderStatus.js";
+import { parseAddonSelection, priceOrder } from "../lib/pricing.js";
+import {
+  VOUCHER_TYPES,
+  VOUCHER_RESTRICTIONS,
+  applyVoucherCode,
+} from "../lib/vouchers.js";
+
+// Sort options for voucher listings (?sortBy=)
+const VOUCHER_SORT_FIELDS = {
+  createdAt: (order) => ({ createdAt: order }),
+  code: (order) => ({ code: order }),
+  endsAt: (order) => ({ endsAt: { sort: order, nulls: "last" } }),
+};
+
+// Check voucher fields against each other and the existing voucher, and
+// resolve restrictions. Each field has been parsed by the voucher schemas;
+// on update only the given fields are present.
+const buildVoucherData = async (body, existingVoucher = null) => {
+  const { productIds, tags, ...data } = body;
+
+  const type = data.type || existingVoucher.type;
+  if (data.value !== undefined || data.type) {
+    const value = data.value ?? existingVoucher.value;
+    if (type === VOUCHER_TYPES.PERCENTAGE && value > 100) {
+      throw new HttpError(400, "Invalid value: percentage vouchers take 1-100", {
+        fields: { value: "must be at most 100 for percentage vouchers" },
+      });
+    }
+    data.value = value;
+  }
+
+  const startsAt = data.startsAt !== undefined ? data.startsAt : existingVoucher?.startsAt;
+  const endsAt = data.endsAt !== undefined ? data.endsAt : existingVoucher?.endsAt;
+  if (startsAt && endsAt && startsAt >= endsAt) {
+    throw new HttpError(400, "Invalid validity window: endsAt must be after startsAt", {
+      fields: { endsAt: "must be after startsAt" },
+    });
+  }
+
+  // Restrictions replace the current lists; empty lists lift them
+  if (productIds !== undefined) {
+    const found = await prisma.product.count({ where: { id: { in: productIds }, deletedAt: null } });
+    if (found !== productIds.length) {
+      throw new HttpError(400, "Invalid productIds: some products do not exist", {
+        fields: { productIds: "some products do not exist" },
+      });
+    }
+    data.products = { set: productIds.map((id) => ({ id })) };
+  }
+
+  if (tags !== undefined) {
+    const found = await prisma.tag.count({ where: { name: { in: tags } } });
+    if (found !== tags.length) {
+      throw new HttpError(400, "Invalid tags: some tags do not exist", {
+        fields: { tags: "some tags do not exist" },
+      });
+    }
+    data.tags = { set: tags.map((name) => ({ name })) };
+  }
+
+  return data;
+};
+
+// Report a code taken by another voucher as a conflict on the code field
+const rethrowDuplicateCode = (error) => {
+  if (error.code === "P2002") {
+    throw new HttpError(409, "A voucher with this code already exists", {
+      fields: { code: "is already taken" },
+    });
+  }
+  throw error;
+};
+
+// Count the redemptions that still use up a voucher (not cancelled or refunded)
+const countActiveRedemptions = (voucherId) =>
+  prisma.voucherRedemption.count({
+    where: { voucherId, order: { status: { notIn: [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED] } } },
+  });
+
+// Get all vouchers (paginated, supports ?q=code and ?active=true|false)
+export const getAllVouchers = async (req, res) => {
+  const { q, active } = req.query;
+
+  const listQuery = parseListQuery(req.query, { sortFields: VOUCHER_SORT_FIELDS });
+  if (listQuery.error) {
+    throw new HttpError(400, listQuery.error);
+  }
+
+  const filter = {};
+  if (q && q.trim()) filter.code = { contains: q.trim(), mode: "insensitive" };
+  if (active !== undefined) filter.active = active;
+  if (listQuery.createdAt) filter.createdAt = listQuery.createdAt;
+
+  const [vouchers, total] = await Promise.all([
+    prisma.voucher.findMany({
+      where: filter,
+      include: {
+        ...VOUCHER_RESTRICTIONS,
+        _count: {
+          select: { redemptions: true },
+        },
+      },
+      ...listQuery.findArgs,
+    }),
+    prisma.voucher.count({ where: filter }),
+  ]);
+
+  res.json(buildPage(vouchers, listQuery.limit, total));
+};
+
+// Get a single voucher by ID with its usage
+export const getVoucherById = async (req, res) => {
+  const { id } = req.params;
+
+  const voucher = await prisma.voucher.findUnique({
+    where: { id },
+    include: VOUCHER_RESTRICTIONS,
+  });
+
+  if (!voucher) {
+    throw new HttpError(404, "Voucher not found");
+  }
+
+  res.json({
+    ...voucher,
+    used: await countActiveRedemptions(id),
+  });
+};
+
+// Create a voucher
+export const createVoucher = async (req, res) => {
+  const data = await buildVoucherData(req.body);
+
+  // Restrictions are connected, not set, on create
+  if (data.products) data.products = { connect: data.products.set };
+  if (data.tags) data.tags = { connect: data.tags.set };
+
+  const voucher = await prisma.voucher
+    .create({
+      data,
+      include: VOUCHER_RESTRICTIONS,
+    })
+    .catch(rethrowDuplicateCode);
+
+  res.status(201).json(voucher);
+};
+
+// Update a voucher
+export const updateVoucher = async (req, res) => {
+  const { id } = req.params;
+
+  // Check if voucher exists
+  const existingVoucher = await prisma.voucher.findUnique({
+    where: { id },
+  });
+
+  if (!existingVoucher) {
+    throw new HttpError(404, "Voucher not found");
+  }
+
+  const data = await buildVoucherData(req.body, existingVoucher);
+
+  const voucher = await prisma.voucher
+    .update({
+      where: { id },
+      data,
+      include: VOUCHER_RESTRICTIONS,
+    })
+    .catch(rethrowDuplicateCode);
+
+  res.json(voucher);
+};
+
+// Delete a voucher that was never redeemed
+export const deleteVoucher = async (req, res) => {
+  const { id } = req.params;
+
+  // Check if voucher exists
+  const existingVoucher = await prisma.voucher.findUnique({
+    where: { id },
+    include: {
+      _count: {
+        select: { redemptions: true },
+      },
+    },
+  });
+
+  if (!existingVoucher) {
+    throw new HttpError(404, "Voucher not found");
+  }
+
+  // Redemptions are part of the order history
+  if (existingVoucher._count.redemptions > 0) {
+    throw new HttpError(409, "Voucher has been redeemed and cannot be deleted; deactivate it instead");
+  }
+
+  await prisma.voucher.delete({
+    where: { id },
+  });
+
+  res.json({
+    message: "Voucher deleted successfully",
+    id,
+  });
+};
+
+// Show what a voucher takes off an order before checking out
+// ({ code, productId, variantId, addons })
+export const validateVoucher = async (req, res) => {
+  const { code, productId, variantId } = req.body;
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId, deletedAt: null },
+    include: {
+      tags: true,
+      variants: true,
+      addons: true,
+    },
+  });
+
+  if (!product) {
+    throw new HttpError(404, "Product not found");
+  }
+
+  const { selection, error: addonError } = parseAddonSelection(req.body.addons);
+  let pricing = addonError
+    ? { error: addonError }
+    : priceOrder(product, { variantId, addons: selection });
+  if (!pricing.error) {
+    pricing = await applyVoucherCode(prisma, pricing, { code, product, userId: req.user.id });
+  }
+  if (pricing.error) {
+    throw new HttpError(400, pricing.error);
+  }
+
+  res.json({
+    code: pricing.voucher.code,
+    description: pricing.voucher.description,
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    total: pricing.total,
+    items: pricing.items,
+  });
+};
@@ -1,17 +1,26 @@
 import express from 'express';
 import cors from 'cors';
+import config from './lib/config.js';
 import authRoutes from './routes/authRoutes.js';
 import productRoutes from './routes/productRoutes.js';
 import midtransRoutes from './routes/midtransRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
 import tagRoutes from './routes/tagRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import invitationRoutes from './routes/invitationRoutes.js';
+import voucherRoutes from './routes/voucherRoutes.js';
+import cronRoutes from './routes/cronRoutes.js';
+import { getStorage, LOCAL_STORAGE_ROUTE } from './lib/storage/index.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
 
 const app = express();
-const PORT = process.env.PORT || 3000;
 
-// CORS configuration
+// Behind the Vercel proxy; needed for per-client rate limiting
+app.set('trust proxy', 1);
+
+// CORS configuration (CORS_ORIGINS, default APP_URL)
 const corsOptions = {
-  origin: 'http://localhost:5173',
+  origin: config.cors.origins,
   credentials: true,
   optionsSuccessStatus: 200
 };
@@ -21,6 +30,12 @@ app.use(cors(corsOptions));
 // Middleware to parse JSON bodies
 app.use(express.json());
 
+// Serve uploaded files when storing them on the local disk
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use(LOCAL_STORAGE_ROUTE, express.static(storage.rootDir));
+}
+
 // Basic route
 app.get('/', (req, res) => {
   res.json({ message: 'Welcome to we-invite API!' });
@@ -37,11 +52,19 @@ app.use('/api/products', productRoutes);
 app.use('/api/midtrans', midtransRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/tags', tagRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/vouchers', voucherRoutes);
+app.use('/api/cron', cronRoutes);
+
+// Errors from every route above are answered as { error: { code, message, fields } }
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // For local development
-if (process.env.NODE_ENV !== 'production') {
-  app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
+if (!config.isProduction) {
+  app.listen(config.port, () => {
+    console.log(`Server is running on http://localhost:${config.port}`);
   });
 }
 
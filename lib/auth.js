@@ -0,0 +1,70 @@
+import { createLocalJWKSet, createRemoteJWKSet, errors, importSPKI, jwtVerify } from 'jose';
+import config from './config.js';
+
+let cachedKey = null;
+
+/**
+ * Resolve the key used to verify access tokens.
+ *
+ * Checked in order (see the auth settings in lib/config.js):
+ * - AUTH_JWKS_URL: remote JWKS endpoint of the identity provider
+ * - AUTH_JWKS: inline JWKS JSON (useful for local keys in tests)
+ * - AUTH_JWT_PUBLIC_KEY: PEM encoded public key
+ * - AUTH_JWT_SECRET: shared secret for HMAC signed tokens
+ * @returns {Promise<{ key: any, algorithms: Array<string>|undefined }>}
+ */
+const resolveVerificationKey = async () => {
+  if (cachedKey) return cachedKey;
+
+  const { jwksUrl, jwks, publicKey, secret } = config.auth;
+  const algorithms = config.auth.algorithms ? [...config.auth.algorithms] : undefined;
+
+  if (jwksUrl) {
+    cachedKey = { key: createRemoteJWKSet(new URL(jwksUrl)), algorithms };
+  } else if (jwks) {
+    cachedKey = { key: createLocalJWKSet(jwks), algorithms };
+  } else if (publicKey) {
+    const alg = algorithms ? algorithms[0] : 'RS256';
+    cachedKey = { key: await importSPKI(publicKey, alg), algorithms: [alg] };
+  } else if (secret) {
+    cachedKey = {
+      key: new TextEncoder().encode(secret),
+      algorithms: algorithms || ['HS256']
+    };
+  } else {
+    throw new Error(
+      'Missing auth configuration: one of AUTH_JWKS_URL, AUTH_JWKS, AUTH_JWT_PUBLIC_KEY or AUTH_JWT_SECRET is required'
+    );
+  }
+
+  return cachedKey;
+};
+
+/**
+ * Verify a signed access token and return its claims
+ * @param {string} token - Raw JWT from the Authorization header
+ * @returns {Promise<Object>} - Verified token payload
+ */
+export const verifyAccessToken = async (token) => {
+  const { key, algorithms } = await resolveVerificationKey();
+
+  const { payload } = await jwtVerify(token, key, {
+    algorithms,
+    issuer: config.auth.issuer || undefined,
+    audience: config.auth.audience || undefined
+  });
+
+  if (!payload.sub) {
+    throw new errors.JWTClaimValidationFailed('missing required "sub" claim', payload, 'sub', 'missing');
+  }
+
+  return payload;
+};
+
+/**
+ * Check whether an error was caused by the token itself (expired, bad
+ * signature, wrong audience...) rather than by the server configuration
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isTokenError = (error) => error instanceof errors.JOSEError;
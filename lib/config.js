@@ -0,0 +1,275 @@
+import { z } from "zod";
+
+export const ENVIRONMENTS = ["development", "test", "production"];
+
+// Defaults that depend on NODE_ENV. Production has no URL defaults: a
+// deployment that forgets them should fail to start, not point customers at
+// localhost.
+const ENVIRONMENT_DEFAULTS = {
+  development: {
+    APP_URL: "http://localhost:5173",
+    STORAGE_DRIVER: "supabase",
+  },
+  test: {
+    APP_URL: "http://localhost:5173",
+    STORAGE_DRIVER: "local",
+  },
+  production: {
+    STORAGE_DRIVER: "supabase",
+  },
+};
+
+// Settings that must be set in production. Elsewhere the features that need
+// them fail when first used instead (see lib/auth.js and lib/supabase.js).
+const REQUIRED_IN_PRODUCTION = ["DATABASE_URL", "MIDTRANS_SERVER_KEY", "CRON_SECRET"];
+
+const AUTH_KEY_VARIABLES = ["AUTH_JWKS_URL", "AUTH_JWKS", "AUTH_JWT_PUBLIC_KEY", "AUTH_JWT_SECRET"];
+
+// Sandbox Midtrans keys carry this prefix, production keys do not
+const MIDTRANS_SANDBOX_KEY_PREFIX = "SB-";
+
+const MB = 1024 * 1024;
+
+// An absolute http(s) URL without a trailing slash
+const httpUrl = z
+  .url({ protocol: /^https?$/, error: "must be an http(s) URL" })
+  .transform((value) => value.replace(/\/+$/, ""));
+
+// A comma-separated list, e.g. "https://a.example,https://b.example"
+const list = (schema) =>
+  z
+    .string()
+    .transform((value) => value.split(",").map((item) => item.trim()).filter(Boolean))
+    .pipe(z.array(schema).min(1, "must not be empty"));
+
+const boolean = z
+  .enum(["true", "false", "1", "0"], { error: "must be true or false" })
+  .transform((value) => value === "true" || value === "1");
+
+const positiveInteger = z.coerce.number({ error: "must be a number" }).int().positive();
+
+const positiveNumber = z.coerce.number({ error: "must be a number" }).positive();
+
+const json = z.string().transform((value, ctx) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    ctx.addIssue({ code: "custom", message: "must be valid JSON" });
+    return z.NEVER;
+  }
+});
+
+// Every environment variable the API reads. Empty strings count as unset.
+const envSchema = z.object({
+  NODE_ENV: z.enum(ENVIRONMENTS).default("development"),
+  PORT: positiveInteger.default(3000),
+  DATABASE_URL: z.string().optional(),
+
+  // Frontend base URL, used for the CORS, payment callback and invitation
+  // defaults below
+  APP_URL: httpUrl.optional(),
+  CORS_ORIGINS: list(httpUrl).optional(),
+  INVITATION_BASE_URL: httpUrl.optional(),
+
+  MIDTRANS_IS_PRODUCTION: boolean.default(false),
+  MIDTRANS_SERVER_KEY: z.string().optional(),
+  MIDTRANS_CLIENT_KEY: z.string().optional(),
+  MIDTRANS_FINISH_URL: httpUrl.optional(),
+  MIDTRANS_ERROR_URL: httpUrl.optional(),
+  MIDTRANS_PENDING_URL: httpUrl.optional(),
+  PAYMENT_EXPIRY_MINUTES: positiveInteger.default(24 * 60),
+
+  STORAGE_DRIVER: z.enum(["supabase", "local"]),
+  SUPABASE_URL: httpUrl.optional(),
+  SUPABASE_SERVICE_ROLE_KEY: z.string().optional(),
+  PUBLIC_BASE_URL: httpUrl.optional(),
+  LOCAL_STORAGE_DIR: z.string().default("uploads"),
+  PRODUCTS_BUCKET: z.string().default("products"),
+  ORDER_IMAGES_BUCKET: z.string().default("order-images"),
+
+  UPLOAD_MAX_IMAGE_MB: positiveNumber.default(5),
+  UPLOAD_MAX_GUEST_LIST_MB: positiveNumber.default(1),
+  MAX_GALLERY_IMAGES: positiveInteger.default(5),
+  MAX_ORDER_IMAGES: positiveInteger.default(9),
+
+  AUTH_JWKS_URL: httpUrl.optional(),
+  AUTH_JWKS: json.optional(),
+  AUTH_JWT_PUBLIC_KEY: z.string().optional(),
+  AUTH_JWT_SECRET: z.string().optional(),
+  AUTH_JWT_ALGORITHMS: list(z.string()).optional(),
+  AUTH_JWT_ISSUER: z.string().optional(),
+  AUTH_JWT_AUDIENCE: z.string().optional(),
+
+  SMTP_HOST: z.string().optional(),
+  SMTP_PORT: positiveInteger.default(587),
+  SMTP_SECURE: boolean.optional(),
+  SMTP_USER: z.string().optional(),
+  SMTP_PASS: z.string().optional(),
+  SMTP_TIMEOUT_SECONDS: positiveInteger.default(10),
+  MAIL_FROM: z.string().default("We Invite <no-reply@localhost>"),
+
+  CRON_SECRET: z.string().optional(),
+});
+
+// Checks between settings, run once each setting is valid on its own
+const checkEnv = (env, ctx) => {
+  const requireSetting = (name, message) => {
+    if (env[name] === undefined) ctx.addIssue({ code: "custom", path: [name], message });
+  };
+
+  if (env.NODE_ENV === "production") {
+    for (const name of REQUIRED_IN_PRODUCTION) requireSetting(name, "is required in production");
+    requireSetting("APP_URL", "is required in production (the frontend URL)");
+
+    if (AUTH_KEY_VARIABLES.every((name) => env[name] === undefined)) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["AUTH_*"],
+        message: `one of ${AUTH_KEY_VARIABLES.join(", ")} is required in production`,
+      });
+    }
+
+    if (env.STORAGE_DRIVER === "supabase") {
+      requireSetting("SUPABASE_URL", "is required with STORAGE_DRIVER=supabase");
+      requireSetting("SUPABASE_SERVICE_ROLE_KEY", "is required with STORAGE_DRIVER=supabase");
+    } else {
+      requireSetting("PUBLIC_BASE_URL", "is required with STORAGE_DRIVER=local (the public URL of this API)");
+    }
+  }
+
+  // A sandbox key against the production API (or the reverse) fails every
+  // payment with an unhelpful 401
+  if (env.MIDTRANS_SERVER_KEY) {
+    const isSandboxKey = env.MIDTRANS_SERVER_KEY.startsWith(MIDTRANS_SANDBOX_KEY_PREFIX);
+    if (isSandboxKey === env.MIDTRANS_IS_PRODUCTION) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["MIDTRANS_SERVER_KEY"],
+        message: env.MIDTRANS_IS_PRODUCTION
+          ? "is a sandbox key but MIDTRANS_IS_PRODUCTION is true"
+          : "is a production key but MIDTRANS_IS_PRODUCTION is false",
+      });
+    }
+  }
+
+  if (env.SMTP_USER && !env.SMTP_PASS) {
+    requireSetting("SMTP_PASS", "is required with SMTP_USER");
+  }
+};
+
+// Shape the validated variables into the settings modules read
+const toConfig = (env) => {
+  const appUrl = env.APP_URL || null;
+
+  return {
+    env: env.NODE_ENV,
+    isProduction: env.NODE_ENV === "production",
+    port: env.PORT,
+    cors: {
+      origins: env.CORS_ORIGINS || (appUrl ? [appUrl] : []),
+    },
+    invitation: {
+      baseUrl: env.INVITATION_BASE_URL || `${appUrl}/undangan`,
+    },
+    midtrans: {
+      isProduction: env.MIDTRANS_IS_PRODUCTION,
+      serverKey: env.MIDTRANS_SERVER_KEY || null,
+      clientKey: env.MIDTRANS_CLIENT_KEY || null,
+      // Where Snap sends the customer after paying
+      callbacks: {
+        finish: env.MIDTRANS_FINISH_URL || appUrl,
+        error: env.MIDTRANS_ERROR_URL || appUrl,
+        pending: env.MIDTRANS_PENDING_URL || appUrl,
+      },
+      paymentExpiryMinutes: env.PAYMENT_EXPIRY_MINUTES,
+    },
+    storage: {
+      driver: env.STORAGE_DRIVER,
+      supabase: {
+        url: env.SUPABASE_URL || null,
+        serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY || null,
+      },
+      local: {
+        rootDir: env.LOCAL_STORAGE_DIR,
+        publicBaseUrl: env.PUBLIC_BASE_URL || `http://localhost:${env.PORT}`,
+      },
+      buckets: {
+        products: env.PRODUCTS_BUCKET,
+        orderImages: env.ORDER_IMAGES_BUCKET,
+      },
+    },
+    uploads: {
+      maxImageBytes: Math.round(env.UPLOAD_MAX_IMAGE_MB * MB),
+      maxGuestListBytes: Math.round(env.UPLOAD_MAX_GUEST_LIST_MB * MB),
+      maxGalleryImages: env.MAX_GALLERY_IMAGES,
+      maxOrderImages: env.MAX_ORDER_IMAGES,
+    },
+    auth: {
+      jwksUrl: env.AUTH_JWKS_URL || null,
+      jwks: env.AUTH_JWKS || null,
+      // PEM keys are often stored on one line with literal \n
+      publicKey: env.AUTH_JWT_PUBLIC_KEY ? env.AUTH_JWT_PUBLIC_KEY.replace(/\\n/g, "\n") : null,
+      secret: env.AUTH_JWT_SECRET || null,
+      algorithms: env.AUTH_JWT_ALGORITHMS || null,
+      issuer: env.AUTH_JWT_ISSUER || null,
+      audience: env.AUTH_JWT_AUDIENCE || null,
+    },
+    // Without SMTP_HOST emails are disabled
+    mail: {
+      smtp: env.SMTP_HOST
+        ? {
+            host: env.SMTP_HOST,
+            port: env.SMTP_PORT,
+            secure: env.SMTP_SECURE ?? env.SMTP_PORT === 465,
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+            // Give up on an unresponsive server instead of waiting minutes
+            connectionTimeout: env.SMTP_TIMEOUT_SECONDS * 1000,
+            greetingTimeout: env.SMTP_TIMEOUT_SECONDS * 1000,
+            socketTimeout: env.SMTP_TIMEOUT_SECONDS * 1000,
+          }
+        : null,
+      from: env.MAIL_FROM,
+    },
+    cron: {
+      secret: env.CRON_SECRET || null,
+    },
+  };
+};
+
+const deepFreeze = (value) => {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+/**
+ * Read and validate the configuration from environment variables. Unset and
+ * empty variables take the defaults of their NODE_ENV (see
+ * ENVIRONMENT_DEFAULTS); invalid or missing required ones are all reported
+ * in one error.
+ * @param {Object<string, string|undefined>} [source] - Defaults to process.env
+ * @returns {Object} - Frozen settings
+ */
+export const loadConfig = (source = process.env) => {
+  const nodeEnv = ENVIRONMENTS.includes(source.NODE_ENV) ? source.NODE_ENV : "development";
+
+  const raw = { ...ENVIRONMENT_DEFAULTS[nodeEnv] };
+  for (const name of Object.keys(envSchema.shape)) {
+    if (source[name] !== undefined && source[name] !== "") raw[name] = source[name];
+  }
+
+  const result = envSchema.superRefine(checkEnv).safeParse(raw);
+  if (!result.success) {
+    const problems = result.error.issues.map((issue) => `  - ${issue.path.join(".")}: ${issue.message}`);
+    throw new Error(`Invalid environment configuration (NODE_ENV=${nodeEnv}):\n${problems.join("\n")}`);
+  }
+
+  return deepFreeze(toConfig(result.data));
+};
+
+// Loaded once on import, so a misconfigured deployment fails at startup
+const config = loadConfig();
+
+export default config;
@@ -0,0 +1,177 @@
+// Languages notification emails are written in; Indonesian is the default
+export const EMAIL_LOCALES = {
+  INDONESIAN: "id",
+  ENGLISH: "en",
+};
+
+export const DEFAULT_EMAIL_LOCALE = EMAIL_LOCALES.INDONESIAN;
+
+// Order lifecycle emails, see lib/notifications.js for when each is sent
+export const EMAIL_TEMPLATES = {
+  ORDER_CREATED: "order_created",
+  PAYMENT_RECEIVED: "payment_received",
+  PAYMENT_FAILED: "payment_failed",
+  DESIGN_READY: "design_ready",
+  ORDER_COMPLETED: "order_completed",
+};
+
+/**
+ * Check whether a value is a supported email locale
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export const isEmailLocale = (locale) => Object.values(EMAIL_LOCALES).includes(locale);
+
+// Format an amount in rupiah for the given locale
+const formatRupiah = (amount, locale) =>
+  new Intl.NumberFormat(locale === EMAIL_LOCALES.ENGLISH ? "en-ID" : "id-ID", {
+    style: "currency",
+    currency: "IDR",
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Each template gives, per locale, a subject, the body paragraphs and an
+// optional link. Templates receive the data passed to renderEmail with the
+// amount already formatted.
+const TEMPLATES = {
+  [EMAIL_TEMPLATES.ORDER_CREATED]: {
+    id: (data) => ({
+      subject: `Pesanan ${data.productName} telah dibuat`,
+      paragraphs: [
+        `Terima kasih telah memesan ${data.productName}. Total pembayaran Anda adalah ${data.amount}.`,
+        "Silakan selesaikan pembayaran sebelum batas waktu agar pesanan dapat kami proses.",
+      ],
+      action: data.paymentUrl && { label: "Bayar sekarang", url: data.paymentUrl },
+    }),
+    en: (data) => ({
+      subject: `Your ${data.productName} order has been placed`,
+      paragraphs: [
+        `Thank you for ordering ${data.productName}. Your total is ${data.amount}.`,
+        "Please complete the payment before it expires so we can start on your order.",
+      ],
+      action: data.paymentUrl && { label: "Pay now", url: data.paymentUrl },
+    }),
+  },
+  [EMAIL_TEMPLATES.PAYMENT_RECEIVED]: {
+    id: (data) => ({
+      subject: `Pembayaran pesanan ${data.productName} diterima`,
+      paragraphs: [
+        `Kami telah menerima pembayaran sebesar ${data.amount}.`,
+        "Tim desain kami akan segera mulai mengerjakan undangan Anda.",
+      ],
+    }),
+    en: (data) => ({
+      subject: `Payment received for your ${data.productName} order`,
+      paragraphs: [
+        `We have received your payment of ${data.amount}.`,
+        "Our design team will start working on your invitation shortly.",
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.PAYMENT_FAILED]: {
+    id: (data) => ({
+      subject: `Pesanan ${data.productName} dibatalkan`,
+      paragraphs: [
+        "Pembayaran untuk pesanan Anda gagal atau telah melewati batas waktu, sehingga pesanan dibatalkan.",
+        "Anda dapat membuat pesanan baru kapan saja.",
+      ],
+    }),
+    en: (data) => ({
+      subject: `Your ${data.productName} order was cancelled`,
+      paragraphs: [
+        "The payment for your order failed or expired, so the order has been cancelled.",
+        "You are welcome to place a new order at any time.",
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.DESIGN_READY]: {
+    id: (data) => ({
+      subject: `Desain undangan ${data.productName} siap ditinjau`,
+      paragraphs: [
+        "Desain undangan Anda sudah siap. Silakan tinjau dan beri tahu kami jika ada yang perlu diubah.",
+      ],
+      action: data.invitationUrl && { label: "Lihat undangan", url: data.invitationUrl },
+    }),
+    en: (data) => ({
+      subject: `Your ${data.productName} invitation is ready for review`,
+      paragraphs: [
+        "Your invitation design is ready. Please review it and let us know if anything should change.",
+      ],
+      action: data.invitationUrl && { label: "View invitation", url: data.invitationUrl },
+    }),
+  },
+  [EMAIL_TEMPLATES.ORDER_COMPLETED]: {
+    id: (data) => ({
+      subject: `Pesanan ${data.productName} selesai`,
+      paragraphs: [
+        "Undangan Anda telah selesai dan siap dibagikan kepada tamu.",
+        "Terima kasih telah menggunakan We Invite!",
+      ],
+      action: data.invitationUrl && { label: "Lihat undangan", url: data.invitationUrl },
+    }),
+    en: (data) => ({
+      subject: `Your ${data.productName} order is complete`,
+      paragraphs: [
+        "Your invitation is finished and ready to share with your guests.",
+        "Thank you for choosing We Invite!",
+      ],
+      action: data.invitationUrl && { label: "View invitation", url: data.invitationUrl },
+    }),
+  },
+};
+
+const GREETINGS = {
+  id: (name) => (name ? `Halo ${name},` : "Halo,"),
+  en: (name) => (name ? `Hi ${name},` : "Hi,"),
+};
+
+const ORDER_REFERENCES = {
+  id: (orderId) => `Nomor pesanan: ${orderId}`,
+  en: (orderId) => `Order number: ${orderId}`,
+};
+
+/**
+ * Render an order email as plain text and HTML
+ * @param {string} template - One of EMAIL_TEMPLATES
+ * @param {string} [locale] - One of EMAIL_LOCALES, falls back to Indonesian
+ * @param {Object} data
+ * @param {string} [data.name] - Customer name
+ * @param {string} data.orderId
+ * @param {string} data.productName
+ * @param {number} [data.amount] - Order amount in rupiah
+ * @param {string} [data.paymentUrl] - Midtrans payment page
+ * @param {string} [data.invitationUrl] - Public invitation
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export const renderEmail = (template, locale, data) => {
+  const language = isEmailLocale(locale) ? locale : DEFAULT_EMAIL_LOCALE;
+  const { subject, paragraphs, action } = TEMPLATES[template][language]({
+    ...data,
+    amount: formatRupiah(data.amount, language),
+  });
+
+  const lines = [GREETINGS[language](data.name), ...paragraphs];
+  const reference = ORDER_REFERENCES[language](data.orderId);
+
+  const text = [
+    ...lines,
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    reference,
+  ].join("\n\n");
+
+  const html = [
+    ...lines.map((line) => `<p>${escapeHtml(line)}</p>`),
+    ...(action ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+    `<p style="color:#777;font-size:12px">${escapeHtml(reference)}</p>`,
+  ].join("\n");
+
+  return { subject, text, html };
+};
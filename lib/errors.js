@@ -0,0 +1,64 @@
+// Machine-readable codes sent in every error response
+export const ERROR_CODES = {
+  BAD_REQUEST: "bad_request",
+  VALIDATION_FAILED: "validation_failed",
+  UNAUTHORIZED: "unauthorized",
+  FORBIDDEN: "forbidden",
+  NOT_FOUND: "not_found",
+  CONFLICT: "conflict",
+  PAYLOAD_TOO_LARGE: "payload_too_large",
+  TOO_MANY_REQUESTS: "too_many_requests",
+  INTERNAL: "internal_error",
+  BAD_GATEWAY: "bad_gateway",
+};
+
+// Code used for a status when none is given
+const DEFAULT_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  429: ERROR_CODES.TOO_MANY_REQUESTS,
+  500: ERROR_CODES.INTERNAL,
+  502: ERROR_CODES.BAD_GATEWAY,
+};
+
+/**
+ * An error with the HTTP response it should produce. Thrown from handlers
+ * and middleware and turned into { error: { code, message, fields } } by
+ * middleware/errorHandler.js.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message safe to show to the client
+   * @param {Object} [options]
+   * @param {string} [options.code] - One of ERROR_CODES, defaults by status
+   *   (validation_failed for a 400 with fields)
+   * @param {Object} [options.fields] - Messages per invalid field
+   */
+  constructor(status, message, { code, fields } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code =
+      code ||
+      (status === 400 && fields ? ERROR_CODES.VALIDATION_FAILED : DEFAULT_CODES[status]) ||
+      ERROR_CODES.INTERNAL;
+    this.fields = fields || null;
+  }
+}
+
+/**
+ * Build the body of an error response
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message
+ * @param {Object|null} [fields]
+ * @returns {{ error: { code: string, message: string, fields: Object|null } }}
+ */
+export const toErrorBody = (code, message, fields = null) => ({
+  error: { code, message, fields },
+});
+
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+import { parse } from "csv-parse/sync";
+
+export const MAX_GUEST_NAME_LENGTH = 100;
+export const MAX_GUESTS_PER_IMPORT = 2000;
+
+export const RSVP_ATTENDANCE = {
+  ATTENDING: "attending",
+  DECLINED: "declined",
+};
+
+export const MAX_RSVP_MESSAGE_LENGTH = 500;
+export const MAX_RSVP_ATTENDEES = 20;
+
+// Accepted CSV header names for each guest column
+const NAME_HEADERS = ["name", "nama", "guest", "tamu"];
+const PHONE_HEADERS = ["phone", "telepon", "whatsapp", "wa", "no hp"];
+
+/**
+ * Normalize a guest name for duplicate checks ("  Budi  Santoso" -> "budi santoso")
+ * @param {string} name
+ * @returns {string}
+ */
+export const toNameKey = (name) => name.trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Generate the token used in a guest's personalized invitation link
+ * @returns {string}
+ */
+export const generateGuestToken = () => crypto.randomBytes(9).toString("base64url");
+
+/**
+ * Parse an uploaded guest list. The first row must be a header with a name
+ * column (name/nama) and optionally a phone column (phone/whatsapp).
+ * @param {Buffer} buffer - CSV file contents
+ * @returns {Array<{ name: string, phone: string }>}
+ */
+export const parseGuestCsv = (buffer) => {
+  const rows = parse(buffer, {
+    columns: (headers) => headers.map((header) => header.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+  });
+
+  return rows.map((row) => ({
+    name: NAME_HEADERS.map((header) => row[header]).find(Boolean),
+    phone: PHONE_HEADERS.map((header) => row[header]).find(Boolean),
+  }));
+};
+
+/**
+ * Validate and clean a list of guests from CSV or JSON input
+ * @param {Array} guests - Raw guest entries ({ name, phone })
+ * @returns {{ error: string }|{ guests: Array<{ name: string, nameKey: string, phone: string|null }> }}
+ */
+export const normalizeGuests = (guests) => {
+  if (!Array.isArray(guests) || guests.length === 0) {
+    return { error: "No guests provided" };
+  }
+
+  if (guests.length > MAX_GUESTS_PER_IMPORT) {
+    return { error: `At most ${MAX_GUESTS_PER_IMPORT} guests can be imported at once` };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < guests.length; i++) {
+    const guest = guests[i] || {};
+    const name = typeof guest.name === "string" ? guest.name.trim().replace(/\s+/g, " ") : "";
+
+    if (!name) {
+      return { error: `Guest ${i + 1} is missing a name` };
+    }
+
+    if (name.length > MAX_GUEST_NAME_LENGTH) {
+      return { error: `Guest ${i + 1}: name must be at most ${MAX_GUEST_NAME_LENGTH} characters` };
+    }
+
+    normalized.push({
+      name,
+      nameKey: toNameKey(name),
+      phone: guest.phone ? String(guest.phone).trim() : null,
+    });
+  }
+
+  return { guests: normalized };
+};
@@ -0,0 +1,31 @@
+/**
+ * Find an image in a list of URLs, by URL or by position
+ * @param {Array<string>} imageUrls
+ * @param {Object} target
+ * @param {string} [target.url]
+ * @param {number|string} [target.index]
+ * @returns {number|null} - Position, -1 when not found, null when neither url nor index is given
+ */
+export const findImageIndex = (imageUrls, { url, index }) => {
+  if (url !== undefined) {
+    return imageUrls.indexOf(url);
+  }
+  if (index !== undefined && index !== '') {
+    const position = Number(index);
+    return Number.isInteger(position) && position >= 0 && position < imageUrls.length ? position : -1;
+  }
+  return null;
+};
+
+/**
+ * Check whether a new list contains exactly the same URLs as the current one,
+ * in any order
+ * @param {*} newUrls
+ * @param {Array<string>} currentUrls
+ * @returns {boolean}
+ */
+export const isReorderOf = (newUrls, currentUrls) =>
+  Array.isArray(newUrls) &&
+  newUrls.length === currentUrls.length &&
+  new Set(newUrls).size === newUrls.length &&
+  newUrls.every(url => currentUrls.includes(url));
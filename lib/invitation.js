@@ -0,0 +1,75 @@
+import config from "./config.js";
+import { ORDER_STATUS } from "./orderStatus.js";
+
+// Orders whose invitation may be shown publicly (once the owner publishes it)
+export const INVITATION_STATUSES = [
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.IN_DESIGN,
+  ORDER_STATUS.REVISION,
+  ORDER_STATUS.COMPLETED,
+];
+
+// weddingInfo fields guests may see. Anything else stays private.
+const COUPLE_FIELDS = ["groomName", "brideName", "groomParents", "brideParents"];
+const EVENT_FIELDS = [
+  "akadDate",
+  "akadTime",
+  "akadVenue",
+  "akadAddress",
+  "resepsiDate",
+  "resepsiTime",
+  "resepsiVenue",
+  "resepsiAddress",
+  "mapsUrl",
+  "loveStory",
+];
+
+const pick = (source, fields) =>
+  fields.reduce((result, field) => {
+    if (source[field] !== undefined && source[field] !== null && source[field] !== "") {
+      result[field] = source[field];
+    }
+    return result;
+  }, {});
+
+/**
+ * Check whether an order's invitation can be viewed by guests
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const isInvitationVisible = (order) =>
+  Boolean(
+    order && !order.deletedAt && order.slug && order.published && INVITATION_STATUSES.includes(order.status)
+  );
+
+/**
+ * Build the public view of an invitation. Never includes user, payment or
+ * order bookkeeping data.
+ * @param {Object} order - Order row
+ * @param {Object} [guest] - Guest the invitation was personalized for
+ * @returns {Object}
+ */
+export const toPublicInvitation = (order, guest) => {
+  const info = order.weddingInfo && typeof order.weddingInfo === "object" ? order.weddingInfo : {};
+
+  return {
+    slug: order.slug,
+    templateId: order.productId,
+    couple: pick(info, COUPLE_FIELDS),
+    event: pick(info, EVENT_FIELDS),
+    gallery: order.imageUrls || [],
+    guest: guest ? { name: guest.name } : null,
+  };
+};
+
+/**
+ * Build the guest-facing invitation URL, personalized with ?to=<token> when
+ * a guest token is given
+ * @param {string} slug - Order invitation slug
+ * @param {string} [token] - Guest token
+ * @returns {string}
+ */
+export const buildInvitationUrl = (slug, token) => {
+  const url = `${config.invitation.baseUrl}/${encodeURIComponent(slug)}`;
+  return token ? `${url}?to=${encodeURIComponent(token)}` : url;
+};
@@ -0,0 +1,55 @@
+import nodemailer from "nodemailer";
+import config from "./config.js";
+
+let transport = null;
+
+/**
+ * Get the SMTP transport, created on first use from the mail settings in
+ * lib/config.js (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and
+ * SMTP_TIMEOUT_SECONDS). Without SMTP_HOST emails are disabled and null is
+ * returned.
+ * Pointing SMTP_HOST at a local catcher such as Mailpit (SMTP_PORT=1025)
+ * captures every email during development and tests.
+ * @returns {Object|null}
+ */
+export const getMailTransport = () => {
+  if (transport) return transport;
+  if (!config.mail.smtp) return null;
+
+  transport = nodemailer.createTransport({ ...config.mail.smtp });
+
+  return transport;
+};
+
+/**
+ * Replace the mail transport, e.g. with a stub in tests. The stub needs
+ * sendMail().
+ * @param {Object|null} client
+ */
+export const setMailTransport = (client) => {
+  transport = client;
+};
+
+/**
+ * Send an email from MAIL_FROM
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} message.html
+ * @returns {Promise<boolean>} - false when emails are disabled
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const mailTransport = getMailTransport();
+  if (!mailTransport) return false;
+
+  await mailTransport.sendMail({
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  return true;
+};
@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import midtransClient from "midtrans-client";
+import config from "./config.js";
+import { ORDER_STATUS } from "./orderStatus.js";
+
+// Initialize Midtrans Snap against the sandbox or production API
+// (MIDTRANS_IS_PRODUCTION)
+let snap = new midtransClient.Snap({
+  isProduction: config.midtrans.isProduction,
+  serverKey: config.midtrans.serverKey,
+  clientKey: config.midtrans.clientKey,
+});
+
+// How long customers have to pay once a Snap transaction is created
+// (PAYMENT_EXPIRY_MINUTES, default 24 hours). Passed to Midtrans as the
+// transaction expiry and stored on the order as paymentExpiresAt.
+export const PAYMENT_EXPIRY_MINUTES = config.midtrans.paymentExpiryMinutes;
+
+/**
+ * Get the Midtrans Snap client
+ * @returns {Object}
+ */
+export const getSnap = () => snap;
+
+/**
+ * Replace the Midtrans Snap client, e.g. with a stub in tests. The stub
+ * needs createTransaction() and the transaction.* methods used by callers.
+ * @param {Object} client
+ */
+export const setSnapClient = (client) => {
+  snap = client;
+};
+
+/**
+ * Verify the signature_key Midtrans attaches to every HTTP notification.
+ * The signature is SHA512(order_id + status_code + gross_amount + server key).
+ * Fails closed: without a configured server key nothing verifies.
+ * @param {Object} notification - Raw notification body
+ * @returns {boolean}
+ */
+export const verifyNotificationSignature = (notification) => {
+  const { serverKey } = config.midtrans;
+  if (!serverKey) {
+    console.error("MIDTRANS_SERVER_KEY is not set, rejecting notification");
+    return false;
+  }
+
+  const { order_id, status_code, gross_amount, signature_key } = notification || {};
+  if (!order_id || !status_code || !gross_amount || typeof signature_key !== "string") {
+    return false;
+  }
+
+  const expected = crypto
+    .createHash("sha512")
+    .update(`${order_id}${status_code}${gross_amount}${serverKey}`)
+    .digest("hex");
+
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(signature_key);
+
+  return (
+    expectedBuffer.length === actualBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, actualBuffer)
+  );
+};
+
+// How far along the payment lifecycle each Midtrans transaction status is.
+// A notification whose status ranks below the last applied one is stale.
+// Failures rank below capture and settlement, so once a payment has gone
+// through only refunds and chargebacks can follow it.
+const TRANSACTION_STATUS_RANK = {
+  pending: 1,
+  authorize: 2,
+  deny: 3,
+  cancel: 3,
+  expire: 3,
+  failure: 3,
+  capture: 4,
+  settlement: 5,
+  partial_refund: 6,
+  partial_chargeback: 6,
+  refund: 7,
+  chargeback: 7,
+};
+
+/**
+ * Rank a Midtrans transaction status, see TRANSACTION_STATUS_RANK. A capture
+ * the fraud check has not accepted (fraud_status "challenge") can still be
+ * denied or cancelled, so it ranks like an authorization.
+ * @param {string} transactionStatus
+ * @param {string|null} [fraudStatus]
+ * @returns {number}
+ */
+export const rankTransactionStatus = (transactionStatus, fraudStatus) => {
+  if (transactionStatus === "capture" && fraudStatus !== "accept") {
+    return TRANSACTION_STATUS_RANK.authorize;
+  }
+  return TRANSACTION_STATUS_RANK[transactionStatus] || 0;
+};
+
+/**
+ * Map a Midtrans transaction status to our order status
+ * @param {string} transactionStatus
+ * @param {string} fraudStatus
+ * @returns {string|null} - Order status, or null when the order should not change
+ */
+export const mapTransactionStatus = (transactionStatus, fraudStatus) => {
+  if (transactionStatus === "capture") {
+    return fraudStatus === "accept" ? ORDER_STATUS.PAID : ORDER_STATUS.PENDING_PAYMENT;
+  }
+  if (transactionStatus === "settlement") {
+    return ORDER_STATUS.PAID;
+  }
+  if (transactionStatus === "cancel" || transactionStatus === "deny" || transactionStatus === "expire") {
+    return ORDER_STATUS.CANCELLED;
+  }
+  if (transactionStatus === "pending") {
+    return ORDER_STATUS.PENDING_PAYMENT;
+  }
+  // Partial refunds leave the order as it is; see lib/refunds.js
+  if (transactionStatus === "refund") {
+    return ORDER_STATUS.REFUNDED;
+  }
+  return null;
+};
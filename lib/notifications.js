@@ -0,0 +1,79 @@
+import prisma from "./prisma.js";
+import { sendMail } from "./mailer.js";
+import { EMAIL_TEMPLATES, renderEmail } from "./emailTemplates.js";
+import { ORDER_STATUS } from "./orderStatus.js";
+import { buildInvitationUrl } from "./invitation.js";
+
+/**
+ * Pick the email for an order status change, if any. Unpaid orders that are
+ * cancelled get the payment failed email, as that is how they end up there
+ * (denied, expired or abandoned payments).
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {string|null} - One of EMAIL_TEMPLATES
+ */
+export const getStatusChangeTemplate = (fromStatus, toStatus) => {
+  if (fromStatus === toStatus) return null;
+  if (toStatus === ORDER_STATUS.PAID) return EMAIL_TEMPLATES.PAYMENT_RECEIVED;
+  if (toStatus === ORDER_STATUS.CANCELLED && fromStatus === ORDER_STATUS.PENDING_PAYMENT) {
+    return EMAIL_TEMPLATES.PAYMENT_FAILED;
+  }
+  if (toStatus === ORDER_STATUS.REVISION) return EMAIL_TEMPLATES.DESIGN_READY;
+  if (toStatus === ORDER_STATUS.COMPLETED) return EMAIL_TEMPLATES.ORDER_COMPLETED;
+  return null;
+};
+
+// Email the owner of an order. Never throws: a failed email must not fail the
+// request or payment notification that triggered it. Callers leave it running
+// instead of awaiting it, so a slow mail server does not hold them up.
+const sendOrderEmail = async (orderId, template) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        user: true,
+        product: true,
+      },
+    });
+
+    if (!order?.user?.email) return false;
+
+    const email = renderEmail(template, order.user.locale, {
+      name: order.user.name,
+      orderId: order.id,
+      productName: order.product.name,
+      amount: order.amount,
+      paymentUrl: order.snapRedirectUrl,
+      invitationUrl: order.slug && order.published ? buildInvitationUrl(order.slug) : null,
+    });
+
+    return await sendMail({ to: order.user.email, ...email });
+  } catch (error) {
+    console.error(`Error sending ${template} email for order ${orderId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Email the customer that their order was placed, with the payment link.
+ * Never rejects.
+ * @param {string} orderId
+ * @returns {Promise<boolean>} - Whether an email was sent
+ */
+export const notifyOrderCreated = (orderId) => sendOrderEmail(orderId, EMAIL_TEMPLATES.ORDER_CREATED);
+
+/**
+ * Email the customer about a status change of their order, when it is one
+ * they are told about (see getStatusChangeTemplate). Call it once the change
+ * is committed. Never rejects.
+ * @param {string} orderId
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {Promise<boolean>} - Whether an email was sent
+ */
+export const notifyOrderStatusChange = async (orderId, fromStatus, toStatus) => {
+  const template = getStatusChangeTemplate(fromStatus, toStatus);
+  if (!template) return false;
+
+  return sendOrderEmail(orderId, template);
+};
@@ -0,0 +1,188 @@
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { stringify } from "csv-stringify";
+import ExcelJS from "exceljs";
+import prisma from "./prisma.js";
+import { REFUND_STATUSES } from "./refunds.js";
+
+export const EXPORT_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx",
+};
+
+export const EXPORT_CONTENT_TYPES = {
+  [EXPORT_FORMATS.CSV]: "text/csv; charset=utf-8",
+  [EXPORT_FORMATS.XLSX]: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Orders are read this many at a time so an export never holds the whole
+// range in memory
+const EXPORT_BATCH_SIZE = 500;
+
+const DATE_TIME_FORMAT = "yyyy-mm-dd hh:mm";
+
+// weddingInfo fields copied into their own columns. Products with a custom
+// schema may not have them, which leaves the cells empty.
+const WEDDING_INFO_COLUMNS = [
+  { key: "groomName", header: "Groom" },
+  { key: "brideName", header: "Bride" },
+  { key: "akadDate", header: "Akad date" },
+  { key: "resepsiDate", header: "Resepsi date" },
+  { key: "resepsiVenue", header: "Resepsi venue" },
+];
+
+// Columns of an export, in order. Dates are Date objects: the CSV writer
+// prints them as ISO timestamps and the XLSX writer as spreadsheet dates.
+export const ORDER_EXPORT_COLUMNS = [
+  { key: "orderId", header: "Order ID", width: 38 },
+  { key: "createdAt", header: "Ordered at", width: 18, date: true },
+  { key: "customerName", header: "Customer", width: 24 },
+  { key: "customerEmail", header: "Email", width: 28 },
+  { key: "product", header: "Product", width: 28 },
+  { key: "voucherCode", header: "Voucher", width: 14 },
+  { key: "amount", header: "Price", width: 12 },
+  { key: "amountPaid", header: "Paid", width: 12 },
+  { key: "refunded", header: "Refunded", width: 12 },
+  { key: "status", header: "Status", width: 16 },
+  { key: "paidAt", header: "Paid at", width: 18, date: true },
+  { key: "deletedAt", header: "Deleted at", width: 18, date: true },
+  ...WEDDING_INFO_COLUMNS.map((column) => ({ ...column, width: 20 })),
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+/**
+ * Make a CSV cell safe to open in a spreadsheet. Strings that would be read
+ * as a formula get a leading ' so they are shown as text. XLSX cells need no
+ * escaping: strings are stored as text there.
+ * @param {*} value
+ * @returns {*}
+ */
+export const escapeCell = (value) =>
+  typeof value === "string" && FORMULA_PREFIXES.some((prefix) => value.startsWith(prefix))
+    ? `'${value}`
+    : value;
+
+/**
+ * Flatten an order into an export row. Values are left as they are; the CSV
+ * writer escapes them (see escapeCell).
+ * @param {Object} order - Order including user, product and voucherRedemption
+ * @param {number} refunded - Amount refunded so far
+ * @returns {Object} - Keyed by ORDER_EXPORT_COLUMNS keys
+ */
+export const toExportRow = (order, refunded) => {
+  const weddingInfo = order.weddingInfo && typeof order.weddingInfo === "object" ? order.weddingInfo : {};
+
+  const row = {
+    orderId: order.id,
+    createdAt: order.createdAt,
+    customerName: order.user?.name ?? null,
+    customerEmail: order.user?.email ?? null,
+    product: order.product?.name ?? null,
+    voucherCode: order.voucherRedemption?.code ?? null,
+    amount: order.amount === null ? null : Math.round(order.amount),
+    amountPaid: order.amountPaid,
+    refunded,
+    status: order.status,
+    paidAt: order.paidAt,
+    deletedAt: order.deletedAt,
+  };
+
+  for (const { key } of WEDDING_INFO_COLUMNS) {
+    const value = weddingInfo[key];
+    row[key] = value === undefined || value === null ? null : String(value);
+  }
+
+  return row;
+};
+
+/**
+ * Read the orders matching a filter in batches and yield them as export rows
+ * @param {Object} options
+ * @param {Object} options.where - Prisma order filter
+ * @param {Array<Object>} options.orderBy - Prisma orderBy, ending with id so cursors are stable
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* readOrderExportRows({ where, orderBy }) {
+  let cursor = null;
+
+  while (true) {
+    const orders = await prisma.order.findMany({
+      where,
+      orderBy,
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      include: {
+        user: { select: { name: true, email: true } },
+        product: { select: { name: true } },
+        voucherRedemption: { select: { code: true } },
+      },
+    });
+    if (orders.length === 0) return;
+
+    const refunds = await prisma.refund.groupBy({
+      by: ["orderId"],
+      where: {
+        orderId: { in: orders.map((order) => order.id) },
+        status: REFUND_STATUSES.SUCCEEDED,
+      },
+      _sum: { amount: true },
+    });
+    const refundedByOrder = new Map(refunds.map((refund) => [refund.orderId, refund._sum.amount || 0]));
+
+    for (const order of orders) {
+      yield toExportRow(order, refundedByOrder.get(order.id) || 0);
+    }
+
+    if (orders.length < EXPORT_BATCH_SIZE) return;
+    cursor = orders[orders.length - 1].id;
+  }
+}
+
+/**
+ * Stream export rows to a writable stream as CSV, escaping string cells most
+ * of which are typed in by customers (see escapeCell). Ends the stream.
+ * @param {AsyncIterable<Object>} rows - See readOrderExportRows
+ * @param {import("stream").Writable} output
+ * @returns {Promise<void>}
+ */
+export const writeOrdersCsv = (rows, output) =>
+  pipeline(
+    Readable.from(rows),
+    stringify({
+      header: true,
+      columns: ORDER_EXPORT_COLUMNS.map(({ key, header }) => ({ key, header })),
+      cast: {
+        date: (value) => value.toISOString(),
+        string: escapeCell,
+      },
+    }),
+    output
+  );
+
+/**
+ * Stream export rows to a writable stream as an XLSX workbook. Ends the
+ * stream.
+ * @param {AsyncIterable<Object>} rows - See readOrderExportRows
+ * @param {import("stream").Writable} output
+ * @returns {Promise<void>}
+ */
+export const writeOrdersXlsx = async (rows, output) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const worksheet = workbook.addWorksheet("Orders");
+
+  worksheet.columns = ORDER_EXPORT_COLUMNS.map(({ key, header, width, date }) => ({
+    key,
+    header,
+    width,
+    style: date ? { numFmt: DATE_TIME_FORMAT } : undefined,
+  }));
+
+  for await (const row of rows) {
+    worksheet.addRow(row).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
@@ -0,0 +1,26 @@
+import config from "./config.js";
+import { ORDER_STATUS } from "./orderStatus.js";
+
+// Storage bucket holding the photos customers upload for their invitation
+// (ORDER_IMAGES_BUCKET)
+export const ORDER_IMAGES_BUCKET = config.storage.buckets.orderImages;
+
+// Maximum number of images per order (MAX_ORDER_IMAGES)
+export const MAX_ORDER_IMAGES = config.uploads.maxOrderImages;
+
+/**
+ * Folder in ORDER_IMAGES_BUCKET holding an order's images
+ * @param {string} orderId
+ * @returns {string}
+ */
+export const getOrderImagesFolder = (orderId) => `order-images/${orderId}`;
+
+// Statuses after which the design is no longer worked on
+const LOCKED_IMAGE_STATUSES = [ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+/**
+ * Check whether an order's images can no longer be changed
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const isOrderImagesLocked = (order) => LOCKED_IMAGE_STATUSES.includes(order.status);
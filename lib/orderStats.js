@@ -0,0 +1,179 @@
+import prisma from "./prisma.js";
+import { ALL_ORDER_STATUSES, BOOKED_ORDERS_FILTER } from "./orderStatus.js";
+import { REFUND_STATUSES } from "./refunds.js";
+
+// Revenue is bucketed by calendar day, week (starting Monday) and month in
+// this time zone
+export const STATS_TIME_ZONE = "Asia/Jakarta";
+
+// Range used when no ?from= is given
+export const DEFAULT_STATS_DAYS = 30;
+
+export const DEFAULT_TOP_LIMIT = 5;
+export const MAX_TOP_LIMIT = 50;
+
+// Paid orders per period, with the period start as YYYY-MM-DD local date
+const getRevenueSeries = async (period, { from, to }) => {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      to_char(date_trunc(${period}, "paidAt" AT TIME ZONE 'UTC' AT TIME ZONE ${STATS_TIME_ZONE}), 'YYYY-MM-DD') AS "period",
+      COUNT(*) AS "orders",
+      COALESCE(SUM("amountPaid"), 0) AS "revenue"
+    FROM "orders"
+    WHERE "paidAt" >= ${from} AND "paidAt" <= ${to}
+    GROUP BY 1
+    ORDER BY 1
+  `;
+
+  // COUNT and SUM come back as BigInt
+  return rows.map((row) => ({
+    period: row.period,
+    orders: Number(row.orders),
+    revenue: Number(row.revenue),
+  }));
+};
+
+// Sort entries by one metric, then the other, most first
+const rankBy = (entries, metric, limit) => {
+  const other = metric === "orders" ? "revenue" : "orders";
+  return [...entries]
+    .sort((a, b) => b[metric] - a[metric] || b[other] - a[other])
+    .slice(0, limit);
+};
+
+// Paid orders and revenue per product and per tag. A product counts towards
+// each of its current tags.
+const getPopularity = async (paidWhere, limit) => {
+  const groups = await prisma.order.groupBy({
+    by: ["productId"],
+    where: paidWhere,
+    _count: { _all: true },
+    _sum: { amountPaid: true },
+  });
+
+  // Deleted products are included: their orders still made money
+  const products = await prisma.product.findMany({
+    where: { id: { in: groups.map((group) => group.productId) } },
+    select: {
+      id: true,
+      name: true,
+      deletedAt: true,
+      tags: { select: { id: true, name: true } },
+    },
+  });
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  const productEntries = [];
+  const tagEntries = new Map();
+  for (const group of groups) {
+    const product = productsById.get(group.productId);
+    const orders = group._count._all;
+    const revenue = group._sum.amountPaid || 0;
+
+    productEntries.push({
+      id: group.productId,
+      name: product?.name ?? null,
+      deleted: Boolean(product?.deletedAt),
+      orders,
+      revenue,
+    });
+
+    for (const tag of product?.tags || []) {
+      const entry = tagEntries.get(tag.id) || { id: tag.id, name: tag.name, orders: 0, revenue: 0 };
+      entry.orders += orders;
+      entry.revenue += revenue;
+      tagEntries.set(tag.id, entry);
+    }
+  }
+
+  return {
+    topProducts: {
+      byOrders: rankBy(productEntries, "orders", limit),
+      byRevenue: rankBy(productEntries, "revenue", limit),
+    },
+    topTags: {
+      byOrders: rankBy([...tagEntries.values()], "orders", limit),
+      byRevenue: rankBy([...tagEntries.values()], "revenue", limit),
+    },
+  };
+};
+
+/**
+ * Compute sales statistics for a date range. Revenue, refunds and popularity
+ * count orders by when they were paid; status counts and the conversion rate
+ * count orders by when they were created. Deleted orders are left out
+ * unless they were paid (see BOOKED_ORDERS_FILTER).
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (inclusive)
+ * @param {number} [options.top] - Number of top products and tags
+ * @returns {Promise<Object>}
+ */
+export const getOrderStats = async ({ from, to, top = DEFAULT_TOP_LIMIT }) => {
+  const range = { gte: from, lte: to };
+  const paidWhere = { paidAt: range };
+  const createdWhere = { ...BOOKED_ORDERS_FILTER, createdAt: range };
+
+  const [paid, refunded, daily, weekly, monthly, statusGroups, created, createdAndPaid, popularity] =
+    await Promise.all([
+      prisma.order.aggregate({
+        where: paidWhere,
+        _count: { _all: true },
+        _sum: { amountPaid: true },
+      }),
+      prisma.refund.aggregate({
+        where: {
+          status: REFUND_STATUSES.SUCCEEDED,
+          createdAt: range,
+        },
+        _sum: { amount: true },
+      }),
+      getRevenueSeries("day", { from, to }),
+      getRevenueSeries("week", { from, to }),
+      getRevenueSeries("month", { from, to }),
+      prisma.order.groupBy({
+        by: ["status"],
+        where: createdWhere,
+        _count: { _all: true },
+      }),
+      prisma.order.count({ where: createdWhere }),
+      prisma.order.count({ where: { ...createdWhere, paidAt: { not: null } } }),
+      getPopularity(paidWhere, top),
+    ]);
+
+  const revenue = paid._sum.amountPaid || 0;
+  const refundedAmount = refunded._sum.amount || 0;
+
+  const byStatus = Object.fromEntries(ALL_ORDER_STATUSES.map((status) => [status, 0]));
+  for (const group of statusGroups) {
+    byStatus[group.status] = group._count._all;
+  }
+
+  return {
+    range: {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      timeZone: STATS_TIME_ZONE,
+    },
+    revenue: {
+      total: revenue,
+      refunded: refundedAmount,
+      net: revenue - refundedAmount,
+      orders: paid._count._all,
+      daily,
+      weekly,
+      monthly,
+    },
+    orders: {
+      total: created,
+      byStatus,
+    },
+    // Share of the orders created in the range that went on to be paid
+    conversion: {
+      created,
+      paid: createdAndPaid,
+      rate: created > 0 ? Math.round((createdAndPaid / created) * 10000) / 10000 : 0,
+    },
+    ...popularity,
+  };
+};
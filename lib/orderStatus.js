@@ -0,0 +1,141 @@
+import { generateInvitationSlug } from "./slug.js";
+
+// Canonical order statuses
+export const ORDER_STATUS = {
+  PENDING_PAYMENT: "pending_payment",
+  PAID: "paid",
+  IN_DESIGN: "in_design",
+  REVISION: "revision",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  REFUNDED: "refunded",
+};
+
+export const ALL_ORDER_STATUSES = Object.values(ORDER_STATUS);
+
+// Orders that are still awaiting payment or being worked on
+export const OPEN_ORDER_STATUSES = [
+  ORDER_STATUS.PENDING_PAYMENT,
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.IN_DESIGN,
+  ORDER_STATUS.REVISION,
+];
+
+// Orders that count towards revenue, statistics and exports: every order
+// that has not been deleted, plus deleted ones that were paid (their money
+// was still received)
+export const BOOKED_ORDERS_FILTER = {
+  OR: [{ deletedAt: null }, { paidAt: { not: null } }],
+};
+
+// Allowed moves between statuses. A design goes to "revision" once it has
+// been delivered to the customer for review, and back to "in_design" when
+// they ask for changes. "refunded" is only reached through a full refund of
+// a paid order (see lib/refunds.js), including one cancelled after payment.
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING_PAYMENT]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.IN_DESIGN, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.IN_DESIGN]: [
+    ORDER_STATUS.REVISION,
+    ORDER_STATUS.COMPLETED,
+    ORDER_STATUS.CANCELLED,
+    ORDER_STATUS.REFUNDED,
+  ],
+  [ORDER_STATUS.REVISION]: [
+    ORDER_STATUS.IN_DESIGN,
+    ORDER_STATUS.COMPLETED,
+    ORDER_STATUS.CANCELLED,
+    ORDER_STATUS.REFUNDED,
+  ],
+  [ORDER_STATUS.COMPLETED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+// Who caused a status change
+export const STATUS_ACTORS = {
+  CUSTOMER: "customer",
+  ADMIN: "admin",
+  MIDTRANS: "midtrans",
+  SYSTEM: "system",
+};
+
+export class InvalidStatusTransitionError extends Error {
+  constructor(fromStatus, toStatus) {
+    super(`Cannot change order status from ${fromStatus} to ${toStatus}`);
+    this.name = "InvalidStatusTransitionError";
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+/**
+ * Check whether a value is one of the canonical order statuses
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isValidOrderStatus = (status) => ALL_ORDER_STATUSES.includes(status);
+
+/**
+ * List the statuses an order can move to from its current status
+ * @param {string} fromStatus
+ * @returns {Array<string>}
+ */
+export const getAllowedTransitions = (fromStatus) => TRANSITIONS[fromStatus] || [];
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export const canTransition = (fromStatus, toStatus) =>
+  getAllowedTransitions(fromStatus).includes(toStatus);
+
+/**
+ * Move an order to a new status and record the change in its history.
+ * Must be called inside a Prisma transaction so the update and the history
+ * row are written together. Orders get their invitation slug, paidAt and
+ * amountPaid once paid.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Current order row (needs id, status, slug, weddingInfo, paidAt and amount)
+ * @param {string} toStatus - Target status
+ * @param {Object} options
+ * @param {string} options.actorType - One of STATUS_ACTORS
+ * @param {string} [options.actorId] - User ID when a person made the change
+ * @param {string} [options.reason] - Free-form reason shown in the history
+ * @param {Object} [options.data] - Extra order fields to update alongside the status
+ * @returns {Promise<Object>} - Updated order
+ */
+export const transitionOrderStatus = async (tx, order, toStatus, { actorType, actorId, reason, data } = {}) => {
+  if (!canTransition(order.status, toStatus)) {
+    throw new InvalidStatusTransitionError(order.status, toStatus);
+  }
+
+  const updateData = { ...data, status: toStatus };
+  if (toStatus === ORDER_STATUS.PAID && !order.slug) {
+    updateData.slug = await generateInvitationSlug(tx, order.weddingInfo);
+  }
+  if (toStatus === ORDER_STATUS.PAID && !order.paidAt) {
+    updateData.paidAt = new Date();
+    updateData.amountPaid = order.amount === null || order.amount === undefined ? null : Math.round(order.amount);
+  }
+
+  const updatedOrder = await tx.order.update({
+    where: { id: order.id },
+    data: updateData,
+  });
+
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus,
+      actorType,
+      actorId: actorId || null,
+      reason: reason || null,
+    },
+  });
+
+  return updatedOrder;
+};
@@ -0,0 +1,93 @@
+const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+/**
+ * Parse a date query parameter
+ * @param {string} value
+ * @returns {Date|null|undefined} - undefined when absent, null when invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse cursor pagination, sorting and date range query parameters.
+ *
+ * Supported query parameters:
+ * - limit: page size (default 20, max 100)
+ * - cursor: ID of the last row of the previous page
+ * - sortBy: one of the keys of sortFields
+ * - order: asc or desc
+ * - from / to: createdAt range (inclusive, ISO dates)
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {Object} options.sortFields - Map of sortBy values to (direction) => Prisma orderBy
+ * @param {string} [options.defaultSort] - sortBy used when none is given
+ * @param {string} [options.defaultOrder] - order used when none is given
+ * @returns {{ error: string }|{ limit: number, createdAt: Object|undefined, findArgs: Object }}
+ */
+export const parseListQuery = (query, { sortFields, defaultSort = 'createdAt', defaultOrder = 'desc' }) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Invalid limit: must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  const sortBy = query.sortBy || defaultSort;
+  if (!sortFields[sortBy]) {
+    return { error: `Invalid sortBy: must be one of ${Object.keys(sortFields).join(', ')}` };
+  }
+
+  const order = query.order || defaultOrder;
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'Invalid order: must be asc or desc' };
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: 'Invalid date range: from and to must be valid dates' };
+  }
+
+  let createdAt;
+  if (from || to) {
+    createdAt = {};
+    if (from) createdAt.gte = from;
+    if (to) createdAt.lte = to;
+  }
+
+  // Fetch one extra row to know whether there is a next page, and sort by ID
+  // last so rows with equal sort values keep a stable order across pages
+  const findArgs = {
+    take: limit + 1,
+    orderBy: [sortFields[sortBy](order), { id: order }]
+  };
+  if (query.cursor) {
+    findArgs.cursor = { id: query.cursor };
+    findArgs.skip = 1;
+  }
+
+  return { limit, createdAt, findArgs };
+};
+
+/**
+ * Build the paginated response envelope
+ * @param {Array} rows - Rows fetched with parseListQuery's findArgs (limit + 1)
+ * @param {number} limit - Page size
+ * @param {number} total - Number of rows matching the filters
+ * @returns {{ data: Array, pagination: { limit: number, nextCursor: string|null, total: number } }}
+ */
+export const buildPage = (rows, limit, total) => {
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    data,
+    pagination: {
+      limit,
+      nextCursor: hasMore ? data[data.length - 1].id : null,
+      total
+    }
+  };
+};
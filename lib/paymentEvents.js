@@ -0,0 +1,158 @@
+import prisma from "./prisma.js";
+import { mapTransactionStatus, rankTransactionStatus } from "./midtrans.js";
+import { ORDER_STATUS, canTransition, transitionOrderStatus, STATUS_ACTORS } from "./orderStatus.js";
+import { syncMidtransRefunds } from "./refunds.js";
+
+// Outcomes recorded on a PaymentEvent once it has been processed
+export const PAYMENT_EVENT_OUTCOMES = {
+  RECEIVED: "received",
+  APPLIED: "applied",
+  DUPLICATE: "duplicate",
+  STALE: "stale",
+  REJECTED: "rejected",
+  UNKNOWN_ORDER: "unknown_order",
+  FAILED: "failed",
+};
+
+// Where a PaymentEvent came from: a Midtrans notification, or a status
+// polled by the payment reconciliation job
+export const PAYMENT_EVENT_SOURCES = {
+  NOTIFICATION: "notification",
+  RECONCILIATION: "reconciliation",
+};
+
+/**
+ * Parse a Midtrans timestamp ("2025-11-06 18:30:00", Asia/Jakarta)
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const parseMidtransTime = (value) => {
+  if (!value) return null;
+  const date = new Date(`${value.replace(" ", "T")}+07:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Persist a raw Midtrans notification before anything else happens to it
+ * @param {Object} notification - Notification body (signature already verified)
+ *   or a transaction status fetched from the Midtrans API
+ * @param {string} [source] - One of PAYMENT_EVENT_SOURCES
+ * @returns {Promise<Object>} - Created PaymentEvent
+ */
+export const recordPaymentEvent = async (notification, source = PAYMENT_EVENT_SOURCES.NOTIFICATION) => {
+  return prisma.paymentEvent.create({
+    data: {
+      orderId: String(notification.order_id),
+      transactionId: notification.transaction_id || null,
+      transactionStatus: notification.transaction_status || "unknown",
+      fraudStatus: notification.fraud_status || null,
+      statusCode: String(notification.status_code),
+      grossAmount: String(notification.gross_amount),
+      transactionTime: parseMidtransTime(notification.transaction_time),
+      payload: notification,
+      source,
+      outcome: PAYMENT_EVENT_OUTCOMES.RECEIVED,
+    },
+  });
+};
+
+/**
+ * Mark a PaymentEvent with its final outcome
+ * @param {string} eventId
+ * @param {string} outcome - One of PAYMENT_EVENT_OUTCOMES
+ * @returns {Promise<Object>}
+ */
+export const setPaymentEventOutcome = async (eventId, outcome) => {
+  return prisma.paymentEvent.update({
+    where: { id: eventId },
+    data: { outcome, processedAt: new Date() },
+  });
+};
+
+/**
+ * Apply a verified Midtrans transaction status to its order, idempotently.
+ * Replays of an already applied status are recorded as duplicates, and a
+ * status that ranks below the last applied one is recorded as stale, so an
+ * order never moves backwards. Notifications for the same order are
+ * serialized by a row lock. Deleted orders are treated as cancelled, so a
+ * payment for one is rejected instead of reviving an order nobody sees.
+ * Refunds listed in the status are recorded every time, as several partial
+ * refunds share the same status.
+ * @param {string} eventId - PaymentEvent being processed
+ * @param {Object} statusResponse - Authoritative status from the Midtrans API
+ * @returns {Promise<{ outcome: string, order: Object }>}
+ */
+export const applyPaymentEvent = async (eventId, statusResponse) => {
+  const orderId = String(statusResponse.order_id);
+  const transactionStatus = statusResponse.transaction_status;
+  const fraudStatus = statusResponse.fraud_status || null;
+
+  return prisma.$transaction(async (tx) => {
+    // Lock the order so concurrent notifications for it are applied one at a
+    // time, each seeing the events the previous one applied
+    await tx.$queryRaw`SELECT "id" FROM "orders" WHERE "id" = ${orderId} FOR UPDATE`;
+    const order = await tx.order.findUnique({ where: { id: orderId } });
+
+    const lastApplied = await tx.paymentEvent.findFirst({
+      where: {
+        orderId,
+        outcome: PAYMENT_EVENT_OUTCOMES.APPLIED,
+        id: { not: eventId },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    let outcome = PAYMENT_EVENT_OUTCOMES.APPLIED;
+    if (!order) {
+      outcome = PAYMENT_EVENT_OUTCOMES.UNKNOWN_ORDER;
+    } else if (lastApplied) {
+      if (
+        lastApplied.transactionStatus === transactionStatus &&
+        lastApplied.fraudStatus === fraudStatus
+      ) {
+        outcome = PAYMENT_EVENT_OUTCOMES.DUPLICATE;
+      } else if (
+        rankTransactionStatus(transactionStatus, fraudStatus) <
+        rankTransactionStatus(lastApplied.transactionStatus, lastApplied.fraudStatus)
+      ) {
+        outcome = PAYMENT_EVENT_OUTCOMES.STALE;
+      }
+    }
+
+    if (order && Array.isArray(statusResponse.refunds)) {
+      await syncMidtransRefunds(tx, orderId, statusResponse.refunds);
+    }
+
+    let updatedOrder = order;
+    const orderStatus = mapTransactionStatus(transactionStatus, fraudStatus);
+    if (outcome === PAYMENT_EVENT_OUTCOMES.APPLIED && orderStatus && orderStatus !== order.status) {
+      // A deleted order counts as cancelled; only a cancellation still applies
+      const allowed = order.deletedAt ? orderStatus === ORDER_STATUS.CANCELLED : true;
+      if (allowed && canTransition(order.status, orderStatus)) {
+        updatedOrder = await transitionOrderStatus(tx, order, orderStatus, {
+          actorType: STATUS_ACTORS.MIDTRANS,
+          reason: `Midtrans transaction ${transactionStatus}`,
+        });
+      } else {
+        // e.g. a settlement arriving for an order an admin already cancelled
+        console.warn(
+          `Ignoring Midtrans ${transactionStatus} for order ${orderId}: cannot move from ${order.deletedAt ? "deleted" : order.status} to ${orderStatus}`
+        );
+        outcome = PAYMENT_EVENT_OUTCOMES.REJECTED;
+      }
+    }
+
+    // Store the verified status alongside the raw payload
+    await tx.paymentEvent.update({
+      where: { id: eventId },
+      data: {
+        transactionStatus,
+        fraudStatus,
+        outcome,
+        processedAt: new Date(),
+      },
+    });
+
+    return { outcome, order: updatedOrder };
+  });
+};
@@ -0,0 +1,164 @@
+import prisma from "./prisma.js";
+import { getSnap, PAYMENT_EXPIRY_MINUTES } from "./midtrans.js";
+import { ORDER_STATUS, STATUS_ACTORS, transitionOrderStatus } from "./orderStatus.js";
+import {
+  PAYMENT_EVENT_OUTCOMES,
+  PAYMENT_EVENT_SOURCES,
+  recordPaymentEvent,
+  setPaymentEventOutcome,
+  applyPaymentEvent,
+} from "./paymentEvents.js";
+import { notifyOrderStatusChange } from "./notifications.js";
+
+// Orders younger than this are left to the Midtrans notification, which
+// usually arrives within seconds
+export const DEFAULT_MIN_PENDING_AGE_MINUTES = 15;
+
+// Orders checked per run, oldest first, so a run fits in a serverless
+// function's time limit. Later runs pick up the rest.
+export const DEFAULT_RECONCILE_BATCH_SIZE = 50;
+
+// What happened to each order checked by reconcilePayments
+export const RECONCILE_ACTIONS = {
+  UPDATED: "updated",
+  EXPIRED: "expired",
+  UNCHANGED: "unchanged",
+  FAILED: "failed",
+};
+
+// Midtrans answers 404 when no payment was ever started for an order, i.e.
+// the customer never chose a payment method on the Snap page
+const MIDTRANS_NOT_FOUND = 404;
+
+/**
+ * End of an order's payment window. Orders created before paymentExpiresAt
+ * was stored fall back to the default window from their creation.
+ * @param {Object} order
+ * @returns {Date}
+ */
+export const getPaymentExpiry = (order) =>
+  order.paymentExpiresAt || new Date(order.createdAt.getTime() + PAYMENT_EXPIRY_MINUTES * 60 * 1000);
+
+// Cancel an order whose payment window passed without a payment. The order
+// is read again in the transaction in case a notification paid it meanwhile.
+const expireOrder = async (orderId) =>
+  prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({ where: { id: orderId } });
+    if (!order || order.status !== ORDER_STATUS.PENDING_PAYMENT) return null;
+
+    return transitionOrderStatus(tx, order, ORDER_STATUS.CANCELLED, {
+      actorType: STATUS_ACTORS.SYSTEM,
+      reason: "Payment window expired",
+    });
+  });
+
+// Fetch an order's status from Midtrans and apply it like a notification
+const reconcileOrder = async (order, now) => {
+  const result = { orderId: order.id, fromStatus: order.status };
+
+  let statusResponse;
+  try {
+    statusResponse = await getSnap().transaction.status(order.id);
+  } catch (error) {
+    if (Number(error.httpStatusCode) !== MIDTRANS_NOT_FOUND) throw error;
+
+    if (getPaymentExpiry(order) > now) {
+      return { ...result, action: RECONCILE_ACTIONS.UNCHANGED, transactionStatus: null };
+    }
+
+    const expiredOrder = await expireOrder(order.id);
+    if (expiredOrder) {
+      notifyOrderStatusChange(order.id, result.fromStatus, expiredOrder.status);
+    }
+
+    return expiredOrder
+      ? { ...result, action: RECONCILE_ACTIONS.EXPIRED, transactionStatus: null, toStatus: expiredOrder.status }
+      : { ...result, action: RECONCILE_ACTIONS.UNCHANGED, transactionStatus: null };
+  }
+
+  const event = await recordPaymentEvent(statusResponse, PAYMENT_EVENT_SOURCES.RECONCILIATION);
+  try {
+    const { outcome, order: updatedOrder } = await applyPaymentEvent(event.id, statusResponse);
+    const moved = outcome === PAYMENT_EVENT_OUTCOMES.APPLIED && updatedOrder.status !== result.fromStatus;
+    if (moved) {
+      notifyOrderStatusChange(order.id, result.fromStatus, updatedOrder.status);
+    }
+
+    return {
+      ...result,
+      action: moved ? RECONCILE_ACTIONS.UPDATED : RECONCILE_ACTIONS.UNCHANGED,
+      transactionStatus: statusResponse.transaction_status,
+      toStatus: updatedOrder.status,
+    };
+  } catch (error) {
+    await setPaymentEventOutcome(event.id, PAYMENT_EVENT_OUTCOMES.FAILED).catch((updateError) =>
+      console.error("Error marking payment event as failed:", updateError)
+    );
+    throw error;
+  }
+};
+
+/**
+ * Bring orders still awaiting payment in line with Midtrans, for when a
+ * notification was lost. Each pending order older than minAgeMinutes is
+ * checked against the Midtrans status API and the status is applied the
+ * same way as a notification (see applyPaymentEvent). Orders Midtrans has no
+ * payment for are cancelled once their payment window has passed.
+ * @param {Object} [options]
+ * @param {number} [options.minAgeMinutes] - Skip orders younger than this
+ * @param {number} [options.limit] - Maximum number of orders to check
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - Report of every order checked, with totals per action
+ */
+export const reconcilePayments = async ({
+  minAgeMinutes = DEFAULT_MIN_PENDING_AGE_MINUTES,
+  limit = DEFAULT_RECONCILE_BATCH_SIZE,
+  now = new Date(),
+} = {}) => {
+  const createdBefore = new Date(now.getTime() - minAgeMinutes * 60 * 1000);
+
+  const where = {
+    status: ORDER_STATUS.PENDING_PAYMENT,
+    deletedAt: null,
+    createdAt: { lte: createdBefore },
+  };
+  const [orders, pendingTotal] = await Promise.all([
+    prisma.order.findMany({
+      where,
+      orderBy: { createdAt: "asc" },
+      take: limit,
+    }),
+    prisma.order.count({ where }),
+  ]);
+
+  const results = [];
+  for (const order of orders) {
+    try {
+      results.push(await reconcileOrder(order, now));
+    } catch (error) {
+      console.error(`Error reconciling payment of order ${order.id}:`, error);
+      results.push({
+        orderId: order.id,
+        fromStatus: order.status,
+        action: RECONCILE_ACTIONS.FAILED,
+        error: error.message,
+      });
+    }
+  }
+
+  const totals = Object.fromEntries(
+    Object.values(RECONCILE_ACTIONS).map((action) => [
+      action,
+      results.filter((result) => result.action === action).length,
+    ])
+  );
+
+  return {
+    checkedAt: now.toISOString(),
+    minAgeMinutes,
+    checked: results.length,
+    remaining: pendingTotal - results.length,
+    totals,
+    orders: results,
+  };
+};
@@ -0,0 +1,24 @@
+// Roles a user can hold. New users are created as customers by syncUser.
+export const ROLES = {
+  CUSTOMER: 'customer',
+  ADMIN: 'admin'
+};
+
+export const ALL_ROLES = Object.values(ROLES);
+
+/**
+ * Check whether a user has the admin role
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+export const isAdmin = (user) => Boolean(user) && user.role === ROLES.ADMIN;
+
+/**
+ * Check whether a user may read or edit an order. Admins can access every
+ * order, customers only their own.
+ * @param {Object} user - req.user
+ * @param {Object} order - Order row (needs userId)
+ * @returns {boolean}
+ */
+export const canAccessOrder = (user, order) =>
+  isAdmin(user) || (Boolean(user) && order.userId === user.id);
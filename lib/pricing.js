@@ -0,0 +1,156 @@
+import { parseJsonField } from "./weddingInfoSchema.js";
+
+// What an order line item was priced from
+export const ORDER_ITEM_TYPES = {
+  PRODUCT: "product",
+  VARIANT: "variant",
+  ADDON: "addon",
+  DISCOUNT: "discount",
+};
+
+// Midtrans rejects item names longer than this
+const MIDTRANS_ITEM_NAME_MAX_LENGTH = 50;
+
+/**
+ * Round a price to whole rupiah, as Midtrans only accepts integer amounts
+ * @param {number} price
+ * @returns {number}
+ */
+export const toRupiah = (price) => Math.round(price);
+
+/**
+ * Parse the add-ons chosen at checkout. Accepts a list of IDs or of
+ * { id, quantity } objects, optionally as a JSON string (multipart forms).
+ * @param {*} value
+ * @returns {{ error: string }|{ selection: Array<{ id: string, quantity: number }> }}
+ */
+export const parseAddonSelection = (value) => {
+  if (value === undefined || value === null || value === "") return { selection: [] };
+
+  const parsed = parseJsonField(value);
+  if (parsed.error) return { error: `addons ${parsed.error}` };
+  if (!Array.isArray(parsed.value)) {
+    return { error: "addons must be a list of add-on IDs or { id, quantity } objects" };
+  }
+
+  const selection = [];
+  for (const entry of parsed.value) {
+    const { id, quantity = 1 } = typeof entry === "string" ? { id: entry } : entry || {};
+    const count = Number(quantity);
+
+    if (typeof id !== "string" || !id) {
+      return { error: "Every add-on needs an id" };
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: `Invalid quantity for add-on ${id}: must be a whole number of at least 1` };
+    }
+    if (selection.some((item) => item.id === id)) {
+      return { error: `Add-on ${id} is listed more than once` };
+    }
+
+    selection.push({ id, quantity: count });
+  }
+
+  return { selection };
+};
+
+/**
+ * Price an order: the product (or the chosen variant) plus the chosen
+ * add-ons. Products with active variants must be ordered with one of them.
+ * Unit prices are rounded to whole rupiah so the total always equals the sum
+ * of the items sent to Midtrans.
+ * @param {Object} product - Product including its variants and addons
+ * @param {Object} options
+ * @param {string} [options.variantId]
+ * @param {Array<{ id: string, quantity: number }>} [options.addons] - See parseAddonSelection
+ * @returns {{ error: string }|{ items: Array<Object>, total: number }}
+ */
+export const priceOrder = (product, { variantId, addons = [] } = {}) => {
+  const items = [];
+  const activeVariants = product.variants.filter((variant) => variant.active);
+
+  if (variantId) {
+    const variant = activeVariants.find((candidate) => candidate.id === variantId);
+    if (!variant) {
+      return { error: "Variant not found or no longer available for this product" };
+    }
+
+    items.push({
+      type: ORDER_ITEM_TYPES.VARIANT,
+      refId: variant.id,
+      name: `${product.name} - ${variant.name}`,
+      price: toRupiah(variant.price),
+      quantity: 1,
+    });
+  } else if (activeVariants.length > 0) {
+    return { error: "Missing required field: variantId (this product is sold in several variants)" };
+  } else {
+    items.push({
+      type: ORDER_ITEM_TYPES.PRODUCT,
+      refId: product.id,
+      name: product.name,
+      price: toRupiah(product.price),
+      quantity: 1,
+    });
+  }
+
+  for (const { id, quantity } of addons) {
+    const addon = product.addons.find((candidate) => candidate.id === id && candidate.active);
+    if (!addon) {
+      return { error: `Add-on ${id} not found or no longer available for this product` };
+    }
+    if (quantity > addon.maxQuantity) {
+      return { error: `At most ${addon.maxQuantity} of add-on ${addon.name} can be ordered` };
+    }
+
+    items.push({
+      type: ORDER_ITEM_TYPES.ADDON,
+      refId: addon.id,
+      name: addon.name,
+      price: toRupiah(addon.price),
+      quantity,
+    });
+  }
+
+  const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  return { items, total };
+};
+
+/**
+ * Add a voucher discount to a priced order as a negative line item
+ * @param {{ items: Array<Object>, total: number }} pricing - Result of priceOrder
+ * @param {Object} voucher
+ * @param {number} discount - Whole rupiah, see computeDiscount in lib/vouchers.js
+ * @returns {{ items: Array<Object>, total: number }}
+ */
+export const applyDiscount = ({ items, total }, voucher, discount) => {
+  if (discount <= 0) return { items, total };
+
+  return {
+    items: [
+      ...items,
+      {
+        type: ORDER_ITEM_TYPES.DISCOUNT,
+        refId: voucher.id,
+        name: `Voucher ${voucher.code}`,
+        price: -discount,
+        quantity: 1,
+      },
+    ],
+    total: total - discount,
+  };
+};
+
+/**
+ * Convert order items to Midtrans item_details
+ * @param {Array<Object>} items - Items from priceOrder (or OrderItem rows)
+ * @returns {Array<{ id: string, price: number, quantity: number, name: string }>}
+ */
+export const toItemDetails = (items) =>
+  items.map((item) => ({
+    id: item.refId || item.type,
+    price: item.price,
+    quantity: item.quantity,
+    name: item.name.slice(0, MIDTRANS_ITEM_NAME_MAX_LENGTH),
+  }));
@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import config from './config.js';
 
 // PrismaClient is attached to the `global` object in development to prevent
 // exhausting your database connection limit.
@@ -8,7 +9,7 @@ const globalForPrisma = global;
 
 export const prisma = globalForPrisma.prisma || new PrismaClient();
 
-if (process.env.NODE_ENV !== 'production') {
+if (!config.isProduction) {
   globalForPrisma.prisma = prisma;
 }
 
@@ -0,0 +1,7 @@
+import config from './config.js';
+
+// Storage bucket holding product thumbnails and gallery images (PRODUCTS_BUCKET)
+export const PRODUCTS_BUCKET = config.storage.buckets.products;
+
+// Maximum number of gallery images per product (MAX_GALLERY_IMAGES)
+export const MAX_GALLERY_IMAGES = config.uploads.maxGalleryImages;
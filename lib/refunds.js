@@ -0,0 +1,101 @@
+import { ORDER_STATUS, STATUS_ACTORS, canTransition, transitionOrderStatus } from "./orderStatus.js";
+
+// Lifecycle of a Refund row. Refunds are pending while the Midtrans request
+// is in flight, and failed ones no longer count towards the refunded amount.
+export const REFUND_STATUSES = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+/**
+ * Check whether an order was ever paid, including orders cancelled or
+ * completed since. paidAt is set on payment (and backfilled for older
+ * orders); the status history covers any order it is still missing on.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} order - Order row (needs id and paidAt)
+ * @returns {Promise<boolean>}
+ */
+export const wasOrderPaid = async (db, order) => {
+  if (order.paidAt) return true;
+
+  const paidEntry = await db.orderStatusHistory.findFirst({
+    where: { orderId: order.id, toStatus: ORDER_STATUS.PAID },
+    select: { id: true },
+  });
+  return Boolean(paidEntry);
+};
+
+/**
+ * Sum an order's refunds by status
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} order - Order row (needs id, amountPaid and amount)
+ * @returns {Promise<{ paid: number, pending: number, refunded: number, refundable: number }>}
+ */
+export const getRefundTotals = async (db, order) => {
+  const groups = await db.refund.groupBy({
+    by: ["status"],
+    where: { orderId: order.id, status: { not: REFUND_STATUSES.FAILED } },
+    _sum: { amount: true },
+  });
+
+  const sumOf = (status) => groups.find((group) => group.status === status)?._sum.amount || 0;
+  const paid = Math.round(order.amountPaid ?? order.amount ?? 0);
+  const pending = sumOf(REFUND_STATUSES.PENDING);
+  const refunded = sumOf(REFUND_STATUSES.SUCCEEDED);
+
+  return { paid, pending, refunded, refundable: Math.max(0, paid - pending - refunded) };
+};
+
+/**
+ * Record the refunds Midtrans reports for an order (the "refunds" list of a
+ * transaction status). Refunds we requested are matched on their refund_key
+ * and marked succeeded; refunds made elsewhere, e.g. in the Midtrans
+ * dashboard, are added.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} orderId
+ * @param {Array<Object>} refunds - Midtrans refund entries
+ * @returns {Promise<void>}
+ */
+export const syncMidtransRefunds = async (tx, orderId, refunds) => {
+  for (const refund of refunds) {
+    const midtransRefundId = refund.refund_chargeback_id ? String(refund.refund_chargeback_id) : null;
+    const refundKey = refund.refund_key || (midtransRefundId && `midtrans-${midtransRefundId}`);
+    if (!refundKey) continue;
+
+    await tx.refund.upsert({
+      where: { refundKey },
+      update: {
+        status: REFUND_STATUSES.SUCCEEDED,
+        midtransRefundId,
+        failureMessage: null,
+      },
+      create: {
+        orderId,
+        refundKey,
+        amount: Math.round(Number(refund.refund_amount) || 0),
+        reason: refund.reason || null,
+        status: REFUND_STATUSES.SUCCEEDED,
+        actorType: STATUS_ACTORS.MIDTRANS,
+        midtransRefundId,
+      },
+    });
+  }
+};
+
+/**
+ * Move an order to "refunded" once its whole payment has been refunded.
+ * Orders with money left, or already refunded, are returned unchanged.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Current order row
+ * @param {Object} options - actorType, actorId and reason, see transitionOrderStatus
+ * @returns {Promise<Object>} - The order, updated when it moved
+ */
+export const settleFullRefund = async (tx, order, options) => {
+  if (!canTransition(order.status, ORDER_STATUS.REFUNDED)) return order;
+
+  const { paid, refunded } = await getRefundTotals(tx, order);
+  if (paid === 0 || refunded < paid) return order;
+
+  return transitionOrderStatus(tx, order, ORDER_STATUS.REFUNDED, options);
+};
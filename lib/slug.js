@@ -0,0 +1,51 @@
+import crypto from "crypto";
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MIN_SLUG_LENGTH = 3;
+const MAX_SLUG_LENGTH = 60;
+
+/**
+ * Turn free text into a URL slug ("Rina & Budi" -> "rina-budi")
+ * @param {string} text
+ * @returns {string}
+ */
+export const slugify = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH - 7);
+
+/**
+ * Check whether a slug chosen by a user is well-formed
+ * @param {string} slug
+ * @returns {boolean}
+ */
+export const isValidSlug = (slug) =>
+  typeof slug === "string" &&
+  slug.length >= MIN_SLUG_LENGTH &&
+  slug.length <= MAX_SLUG_LENGTH &&
+  SLUG_PATTERN.test(slug);
+
+/**
+ * Generate an unused invitation slug from the couple's names in weddingInfo,
+ * e.g. "budi-rina-x7k2p9"
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Object} weddingInfo - Order weddingInfo
+ * @returns {Promise<string>}
+ */
+export const generateInvitationSlug = async (tx, weddingInfo) => {
+  const info = weddingInfo && typeof weddingInfo === "object" ? weddingInfo : {};
+  const base = slugify([info.groomName, info.brideName].filter(Boolean).join(" ")) || "undangan";
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const suffix = crypto.randomBytes(4).toString("hex").slice(0, 6);
+    const slug = `${base}-${suffix}`;
+    const existing = await tx.order.findUnique({ where: { slug }, select: { id: true } });
+    if (!existing) return slug;
+  }
+
+  throw new Error("Could not generate a unique invitation slug");
+};
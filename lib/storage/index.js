@@ -0,0 +1,129 @@
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createSupabaseDriver } from './supabaseDriver.js';
+import { createLocalDriver } from './localDriver.js';
+import config from '../config.js';
+
+// URL path the local driver's files are served under (see index.js)
+export const LOCAL_STORAGE_ROUTE = '/uploads';
+
+let driver = null;
+
+/**
+ * Get the configured storage driver. STORAGE_DRIVER selects it:
+ * - supabase (default): Supabase Storage
+ * - local: files under LOCAL_STORAGE_DIR (default ./uploads), served by Express
+ *
+ * Every driver implements:
+ * - upload(bucket, path, buffer, { contentType }) => { path, url }
+ * - remove(bucket, paths)
+ * - list(bucket, prefix) => [{ path, updatedAt }] for every file under prefix
+ * - getPublicUrl(bucket, path) => url
+ * - pathFromUrl(bucket, url) => path, or null when the URL is not in the bucket
+ * @returns {Object}
+ */
+export const getStorage = () => {
+  if (driver) return driver;
+
+  const { driver: driverName, local } = config.storage;
+
+  if (driverName === 'supabase') {
+    driver = createSupabaseDriver();
+  } else {
+    driver = createLocalDriver({
+      rootDir: local.rootDir,
+      baseUrl: `${local.publicBaseUrl}${LOCAL_STORAGE_ROUTE}`
+    });
+  }
+
+  return driver;
+};
+
+/**
+ * Upload a file to storage
+ * @param {Object} file - File object from multer (buffer, originalname, mimetype)
+ * @param {string} bucket - Storage bucket name
+ * @param {string} folder - Folder path in the bucket
+ * @returns {Promise<string>} - Public URL of the uploaded file
+ */
+export const uploadFile = async (file, bucket, folder) => {
+  try {
+    // Generate unique filename
+    const fileExt = path.extname(file.originalname).slice(1).toLowerCase() || 'bin';
+    const filePath = `${folder}/${uuidv4()}.${fileExt}`;
+
+    const { url } = await getStorage().upload(bucket, filePath, file.buffer, {
+      contentType: file.mimetype || `image/${fileExt}`
+    });
+
+    return url;
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload multiple files to storage. If one upload fails, the files already
+ * uploaded by this call are removed again.
+ * @param {Array} files - Array of file objects from multer
+ * @param {string} bucket - Storage bucket name
+ * @param {string} folder - Folder path in the bucket
+ * @returns {Promise<Array<string>>} - Array of public URLs
+ */
+export const uploadFiles = async (files, bucket, folder) => {
+  const urls = [];
+
+  try {
+    for (const file of files) {
+      urls.push(await uploadFile(file, bucket, folder));
+    }
+  } catch (error) {
+    await deleteFiles(urls, bucket);
+    throw error;
+  }
+
+  return urls;
+};
+
+/**
+ * Delete a file from storage by its public URL
+ * @param {string} fileUrl - The public URL of the file to delete
+ * @param {string} bucket - Storage bucket name
+ * @returns {Promise<void>}
+ */
+export const deleteFile = async (fileUrl, bucket) => {
+  try {
+    const storage = getStorage();
+    const filePath = storage.pathFromUrl(bucket, fileUrl);
+    if (!filePath) {
+      throw new Error(`Invalid file URL: ${fileUrl}`);
+    }
+
+    await storage.remove(bucket, [filePath]);
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete several files by URL, logging failures instead of throwing. Used for
+ * cleanup, where the original error or result is what matters.
+ * @param {Array<string>} fileUrls
+ * @param {string} bucket - Storage bucket name
+ * @returns {Promise<Array<string>>} - URLs that could not be deleted
+ */
+export const deleteFiles = async (fileUrls, bucket) => {
+  const failed = [];
+
+  for (const fileUrl of fileUrls) {
+    try {
+      await deleteFile(fileUrl, bucket);
+    } catch {
+      failed.push(fileUrl);
+    }
+  }
+
+  return failed;
+};
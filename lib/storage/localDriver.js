@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a storage driver that keeps files on the local disk. Files are
+ * served by Express under the given public base URL (see index.js).
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory holding one folder per bucket
+ * @param {string} options.baseUrl - Public URL the root directory is served from
+ * @returns {Object} - Storage driver (see lib/storage/index.js)
+ */
+export const createLocalDriver = ({ rootDir, baseUrl }) => {
+  const root = path.resolve(rootDir);
+  const publicBaseUrl = baseUrl.replace(/\/+$/, '');
+
+  // Resolve a bucket path on disk, refusing anything outside the bucket
+  const resolvePath = (bucket, filePath = '') => {
+    const bucketDir = path.join(root, bucket);
+    const resolved = path.resolve(bucketDir, filePath);
+    if (resolved !== bucketDir && !resolved.startsWith(`${bucketDir}${path.sep}`)) {
+      throw new Error(`Invalid storage path: ${filePath}`);
+    }
+    return resolved;
+  };
+
+  const getPublicUrl = (bucket, filePath) =>
+    `${publicBaseUrl}/${encodeURIComponent(bucket)}/${filePath.split('/').map(encodeURIComponent).join('/')}`;
+
+  const upload = async (bucket, filePath, buffer) => {
+    const target = resolvePath(bucket, filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    // "wx" fails instead of overwriting, like Supabase with upsert: false
+    await fs.writeFile(target, buffer, { flag: 'wx' });
+    return { path: filePath, url: getPublicUrl(bucket, filePath) };
+  };
+
+  const remove = async (bucket, paths) => {
+    for (const filePath of paths) {
+      await fs.rm(resolvePath(bucket, filePath), { force: true });
+    }
+  };
+
+  const list = async (bucket, prefix = '') => {
+    const dir = resolvePath(bucket, prefix);
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const bucketDir = resolvePath(bucket);
+    const files = [];
+    for (const entry of entries.filter(entry => entry.isFile())) {
+      const fullPath = path.join(entry.parentPath || entry.path, entry.name);
+      const { mtime } = await fs.stat(fullPath);
+      files.push({
+        path: path.relative(bucketDir, fullPath).split(path.sep).join('/'),
+        updatedAt: mtime
+      });
+    }
+    return files;
+  };
+
+  const pathFromUrl = (bucket, fileUrl) => {
+    const bucketUrl = `${publicBaseUrl}/${encodeURIComponent(bucket)}/`;
+    if (typeof fileUrl !== 'string' || !fileUrl.startsWith(bucketUrl)) return null;
+    return fileUrl.slice(bucketUrl.length).split('/').map(decodeURIComponent).join('/');
+  };
+
+  return { name: 'local', rootDir: root, upload, remove, list, getPublicUrl, pathFromUrl };
+};
@@ -0,0 +1,86 @@
+import { getSupabase } from '../supabase.js';
+
+// Supabase returns at most this many entries per list call
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Create a storage driver backed by Supabase Storage
+ * @returns {Object} - Storage driver (see lib/storage/index.js)
+ */
+export const createSupabaseDriver = () => {
+  const getPublicUrl = (bucket, path) => {
+    const { data: { publicUrl } } = getSupabase().storage
+      .from(bucket)
+      .getPublicUrl(path);
+    return publicUrl;
+  };
+
+  const upload = async (bucket, path, buffer, { contentType } = {}) => {
+    const { data, error } = await getSupabase().storage
+      .from(bucket)
+      .upload(path, buffer, {
+        contentType,
+        cacheControl: '3600',
+        upsert: false
+      });
+
+    if (error) {
+      throw new Error(`Supabase upload error: ${error.message}`);
+    }
+
+    return { path: data.path, url: getPublicUrl(bucket, data.path) };
+  };
+
+  const remove = async (bucket, paths) => {
+    if (paths.length === 0) return;
+
+    const { error } = await getSupabase().storage
+      .from(bucket)
+      .remove(paths);
+
+    if (error) {
+      throw new Error(`Supabase delete error: ${error.message}`);
+    }
+  };
+
+  // Supabase lists one folder level at a time; folders have no id
+  const list = async (bucket, prefix = '') => {
+    const files = [];
+
+    for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+      const { data, error } = await getSupabase().storage
+        .from(bucket)
+        .list(prefix, { limit: LIST_PAGE_SIZE, offset });
+
+      if (error) {
+        throw new Error(`Supabase list error: ${error.message}`);
+      }
+
+      for (const entry of data) {
+        const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.id) {
+          const updatedAt = entry.updated_at || entry.created_at;
+          files.push({ path: entryPath, updatedAt: updatedAt ? new Date(updatedAt) : null });
+        } else {
+          files.push(...await list(bucket, entryPath));
+        }
+      }
+
+      if (data.length < LIST_PAGE_SIZE) break;
+    }
+
+    return files;
+  };
+
+  const pathFromUrl = (bucket, fileUrl) => {
+    try {
+      const url = new URL(fileUrl);
+      const pathParts = url.pathname.split(`/${bucket}/`);
+      return pathParts.length < 2 ? null : decodeURIComponent(pathParts.slice(1).join(`/${bucket}/`));
+    } catch {
+      return null;
+    }
+  };
+
+  return { name: 'supabase', upload, remove, list, getPublicUrl, pathFromUrl };
+};
@@ -0,0 +1,157 @@
+import prisma from './prisma.js';
+import { getStorage } from './storage/index.js';
+import { PRODUCTS_BUCKET } from './productImages.js';
+import { ORDER_IMAGES_BUCKET } from './orderImages.js';
+
+// Files younger than this are never treated as orphans: checkout and the
+// product endpoints upload files before the row referencing them is written
+export const DEFAULT_MIN_ORPHAN_AGE_MINUTES = 60;
+
+// Storage removes are sent in chunks of this many paths
+const REMOVE_BATCH_SIZE = 100;
+
+// Buckets to reconcile. PRODUCTS_BUCKET and ORDER_IMAGES_BUCKET may name the
+// same bucket, which is then reconciled once against both kinds of reference.
+const BUCKETS = [...new Set([PRODUCTS_BUCKET, ORDER_IMAGES_BUCKET])];
+
+// Where each bucket's files are referenced from, as a Map of bucket to
+// references
+const collectReferences = async () => {
+  const [products, orders] = await Promise.all([
+    prisma.product.findMany({
+      select: { id: true, thumbnail: true, galleryUrls: true }
+    }),
+    prisma.order.findMany({
+      select: { id: true, imageUrls: true }
+    })
+  ]);
+
+  const referencesByBucket = new Map(BUCKETS.map(bucket => [bucket, []]));
+  referencesByBucket.get(PRODUCTS_BUCKET).push(
+    ...products.flatMap(product => [
+      ...(product.thumbnail
+        ? [{ url: product.thumbnail, ownerType: 'product', ownerId: product.id, field: 'thumbnail' }]
+        : []),
+      ...product.galleryUrls.map(url => ({ url, ownerType: 'product', ownerId: product.id, field: 'galleryUrls' }))
+    ])
+  );
+  referencesByBucket.get(ORDER_IMAGES_BUCKET).push(
+    ...orders.flatMap(order =>
+      order.imageUrls.map(url => ({ url, ownerType: 'order', ownerId: order.id, field: 'imageUrls' }))
+    )
+  );
+
+  return referencesByBucket;
+};
+
+// Remove paths in batches, returning the ones that could not be removed
+const removePaths = async (storage, bucket, paths) => {
+  const failed = [];
+
+  for (let i = 0; i < paths.length; i += REMOVE_BATCH_SIZE) {
+    const batch = paths.slice(i, i + REMOVE_BATCH_SIZE);
+    try {
+      await storage.remove(bucket, batch);
+    } catch (error) {
+      console.error(`Error removing orphaned files from ${bucket}:`, error);
+      failed.push(...batch);
+    }
+  }
+
+  return failed;
+};
+
+/**
+ * Compare the files in the storage buckets with the URLs stored on products
+ * and orders. Reports orphans (files nothing references) and dangling URLs
+ * (references to files that do not exist or are outside the bucket). In
+ * apply mode the orphans are deleted; dangling URLs are only reported.
+ * @param {Object} [options]
+ * @param {boolean} [options.apply=false] - Delete orphans instead of only reporting them
+ * @param {number} [options.minAgeMinutes] - Skip orphans younger than this (default DEFAULT_MIN_ORPHAN_AGE_MINUTES)
+ * @param {Date} [options.now] - Reference time for the age check
+ * @returns {Promise<Object>} - Report with per-bucket results and totals
+ */
+export const reconcileStorage = async ({
+  apply = false,
+  minAgeMinutes = DEFAULT_MIN_ORPHAN_AGE_MINUTES,
+  now = new Date()
+} = {}) => {
+  const storage = getStorage();
+  const cutoff = new Date(now.getTime() - minAgeMinutes * 60 * 1000);
+
+  // List the files before reading the references, so a file uploaded and
+  // referenced in between can only show up as dangling, never as an orphan
+  const objectsByBucket = {};
+  for (const bucket of BUCKETS) {
+    objectsByBucket[bucket] = await storage.list(bucket);
+  }
+  const referencesByBucket = await collectReferences();
+
+  const results = [];
+  for (const bucket of BUCKETS) {
+    const objects = objectsByBucket[bucket];
+    const references = referencesByBucket.get(bucket);
+    const existingPaths = new Set(objects.map(object => object.path));
+    const referencedPaths = new Set();
+    const dangling = [];
+
+    for (const reference of references) {
+      const filePath = storage.pathFromUrl(bucket, reference.url);
+      if (!filePath) {
+        dangling.push({ ...reference, reason: 'not_in_bucket' });
+        continue;
+      }
+
+      referencedPaths.add(filePath);
+      if (!existingPaths.has(filePath)) {
+        dangling.push({ ...reference, reason: 'missing' });
+      }
+    }
+
+    const orphans = [];
+    let skippedRecent = 0;
+    for (const object of objects) {
+      if (referencedPaths.has(object.path)) continue;
+
+      if (object.updatedAt && object.updatedAt > cutoff) {
+        skippedRecent++;
+        continue;
+      }
+
+      orphans.push({
+        path: object.path,
+        url: storage.getPublicUrl(bucket, object.path),
+        updatedAt: object.updatedAt
+      });
+    }
+
+    const failed = apply
+      ? await removePaths(storage, bucket, orphans.map(orphan => orphan.path))
+      : [];
+
+    results.push({
+      bucket,
+      files: objects.length,
+      references: references.length,
+      orphans,
+      skippedRecent,
+      dangling,
+      deleted: apply ? orphans.length - failed.length : 0,
+      failed
+    });
+  }
+
+  return {
+    mode: apply ? 'apply' : 'dry_run',
+    checkedAt: now.toISOString(),
+    minAgeMinutes,
+    buckets: results,
+    totals: {
+      orphans: results.reduce((sum, result) => sum + result.orphans.length, 0),
+      dangling: results.reduce((sum, result) => sum + result.dangling.length, 0),
+      deleted: results.reduce((sum, result) => sum + result.deleted, 0),
+      failed: results.reduce((sum, result) => sum + result.failed.length, 0)
+    }
+  };
+};
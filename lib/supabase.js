@@ -1,20 +1,33 @@
 import { createClient } from "@supabase/supabase-js";
+import config from "./config.js";
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+let supabase = null;
 
-if (!supabaseUrl || !supabaseServiceRoleKey) {
-  throw new Error(
-    "Missing Supabase environment variables: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
-  );
-}
+/**
+ * Get the Supabase client, created on first use so the app can start without
+ * Supabase when another storage driver is configured
+ * @returns {import("@supabase/supabase-js").SupabaseClient}
+ */
+export const getSupabase = () => {
+  if (supabase) return supabase;
 
-// Create Supabase client with service role key for admin operations
-const supabase = createClient(supabaseUrl, supabaseServiceRoleKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false,
-  },
-});
+  const { url: supabaseUrl, serviceRoleKey: supabaseServiceRoleKey } = config.storage.supabase;
 
-export default supabase;
+  if (!supabaseUrl || !supabaseServiceRoleKey) {
+    throw new Error(
+      "Missing Supabase environment variables: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  // Create Supabase client with service role key for admin operations
+  supabase = createClient(supabaseUrl, supabaseServiceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  });
+
+  return supabase;
+};
+
+export default getSupabase;
@@ -0,0 +1,139 @@
+import { ORDER_STATUS } from "./orderStatus.js";
+import { applyDiscount } from "./pricing.js";
+
+// How a voucher's value is applied
+export const VOUCHER_TYPES = {
+  PERCENTAGE: "percentage",
+  FIXED: "fixed",
+};
+
+// Midtrans rejects transactions without an amount, so a voucher never takes
+// off the whole order
+const MIN_CHARGE = 1;
+
+// Restrictions loaded with a voucher so checkVoucher can match products
+export const VOUCHER_RESTRICTIONS = {
+  products: { select: { id: true, name: true } },
+  tags: { select: { id: true, name: true } },
+};
+
+export class VoucherError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "VoucherError";
+  }
+}
+
+/**
+ * Normalize a voucher code as entered by a customer
+ * @param {*} code
+ * @returns {string}
+ */
+export const normalizeVoucherCode = (code) => (typeof code === "string" ? code.trim().toUpperCase() : "");
+
+/**
+ * Compute the discount a voucher gives on an amount, in whole rupiah
+ * @param {Object} voucher
+ * @param {number} subtotal - Order amount before the discount
+ * @returns {number}
+ */
+export const computeDiscount = (voucher, subtotal) => {
+  let discount =
+    voucher.type === VOUCHER_TYPES.PERCENTAGE
+      ? Math.floor((subtotal * voucher.value) / 100)
+      : Math.round(voucher.value);
+
+  if (voucher.type === VOUCHER_TYPES.PERCENTAGE && voucher.maxDiscount !== null && voucher.maxDiscount !== undefined) {
+    discount = Math.min(discount, Math.floor(voucher.maxDiscount));
+  }
+
+  return Math.max(0, Math.min(discount, subtotal - MIN_CHARGE));
+};
+
+/**
+ * Check whether a voucher can be used on an order and compute its discount.
+ * Counts redemptions with the given client, so run it inside the checkout
+ * transaction to enforce the usage limits.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} voucher - Voucher including VOUCHER_RESTRICTIONS
+ * @param {Object} options
+ * @param {Object} options.product - Product including its tags
+ * @param {string} options.userId
+ * @param {number} options.subtotal - Order amount before the discount
+ * @param {Date} [options.now]
+ * @returns {Promise<{ error: string }|{ discount: number }>}
+ */
+export const checkVoucher = async (db, voucher, { product, userId, subtotal, now = new Date() }) => {
+  if (!voucher.active) {
+    return { error: "Voucher is no longer active" };
+  }
+  if (voucher.startsAt && voucher.startsAt > now) {
+    return { error: "Voucher is not valid yet" };
+  }
+  if (voucher.endsAt && voucher.endsAt < now) {
+    return { error: "Voucher has expired" };
+  }
+
+  // Restricted vouchers apply to the listed products and to products with
+  // one of the listed tags
+  if (voucher.products.length > 0 || voucher.tags.length > 0) {
+    const productTagIds = new Set(product.tags.map((tag) => tag.id));
+    const applies =
+      voucher.products.some((restricted) => restricted.id === product.id) ||
+      voucher.tags.some((tag) => productTagIds.has(tag.id));
+    if (!applies) {
+      return { error: "Voucher does not apply to this product" };
+    }
+  }
+
+  if (voucher.minAmount && subtotal < voucher.minAmount) {
+    return { error: `Voucher requires a minimum order of Rp${voucher.minAmount}` };
+  }
+
+  // Cancelled and refunded orders give their redemption back
+  const redemptions = { voucherId: voucher.id, order: { status: { notIn: [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED] } } };
+
+  if (voucher.usageLimit !== null && voucher.usageLimit !== undefined) {
+    const used = await db.voucherRedemption.count({ where: redemptions });
+    if (used >= voucher.usageLimit) {
+      return { error: "Voucher has been fully redeemed" };
+    }
+  }
+
+  if (voucher.perUserLimit !== null && voucher.perUserLimit !== undefined) {
+    const usedByUser = await db.voucherRedemption.count({ where: { ...redemptions, userId } });
+    if (usedByUser >= voucher.perUserLimit) {
+      return { error: "You have already used this voucher the maximum number of times" };
+    }
+  }
+
+  return { discount: computeDiscount(voucher, subtotal) };
+};
+
+/**
+ * Look up a voucher code and apply it to a priced order
+ * @param {Object} db - Prisma client or transaction client
+ * @param {{ items: Array<Object>, total: number }} pricing - Result of priceOrder
+ * @param {Object} options
+ * @param {string} options.code - Code as entered by the customer
+ * @param {Object} options.product - Product including its tags
+ * @param {string} options.userId
+ * @returns {Promise<{ error: string }|{ voucher: Object, subtotal: number, discount: number, items: Array<Object>, total: number }>}
+ */
+export const applyVoucherCode = async (db, pricing, { code, product, userId }) => {
+  const voucher = await db.voucher.findUnique({
+    where: { code: normalizeVoucherCode(code) },
+    include: VOUCHER_RESTRICTIONS,
+  });
+
+  if (!voucher) {
+    return { error: "Voucher not found" };
+  }
+
+  const { discount, error } = await checkVoucher(db, voucher, { product, userId, subtotal: pricing.total });
+  if (error) {
+    return { error };
+  }
+
+  return { voucher, subtotal: pricing.total, discount, ...applyDiscount(pricing, voucher, discount) };
+};
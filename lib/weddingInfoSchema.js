@@ -0,0 +1,196 @@
+// Field types a product's weddingInfo form can use
+export const FIELD_TYPES = ["string", "text", "date", "time", "url", "number", "boolean"];
+
+// Max lengths applied when a field does not set its own
+const DEFAULT_MAX_LENGTH = {
+  string: 255,
+  text: 5000,
+  url: 2048,
+};
+
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Used by products that do not define their own schema
+export const DEFAULT_WEDDING_INFO_SCHEMA = [
+  { key: "groomName", label: "Nama mempelai pria", type: "string", required: true, maxLength: 100 },
+  { key: "brideName", label: "Nama mempelai wanita", type: "string", required: true, maxLength: 100 },
+  { key: "groomParents", label: "Orang tua mempelai pria", type: "string", required: false, maxLength: 200 },
+  { key: "brideParents", label: "Orang tua mempelai wanita", type: "string", required: false, maxLength: 200 },
+  { key: "akadDate", label: "Tanggal akad", type: "date", required: false },
+  { key: "akadTime", label: "Waktu akad", type: "time", required: false },
+  { key: "akadVenue", label: "Tempat akad", type: "string", required: false, maxLength: 200 },
+  { key: "akadAddress", label: "Alamat akad", type: "text", required: false, maxLength: 500 },
+  { key: "resepsiDate", label: "Tanggal resepsi", type: "date", required: false },
+  { key: "resepsiTime", label: "Waktu resepsi", type: "time", required: false },
+  { key: "resepsiVenue", label: "Tempat resepsi", type: "string", required: false, maxLength: 200 },
+  { key: "resepsiAddress", label: "Alamat resepsi", type: "text", required: false, maxLength: 500 },
+  { key: "mapsUrl", label: "Link Google Maps", type: "url", required: false },
+  { key: "loveStory", label: "Kisah cinta", type: "text", required: false, maxLength: 3000 },
+];
+
+/**
+ * Parse a JSON value that may arrive as a string (multipart form fields)
+ * @param {*} value
+ * @returns {{ error: string }|{ value: * }}
+ */
+export const parseJsonField = (value) => {
+  if (typeof value !== "string") return { value };
+  try {
+    return { value: JSON.parse(value) };
+  } catch {
+    return { error: "must be valid JSON" };
+  }
+};
+
+/**
+ * Get the weddingInfo field schema a product's orders are validated against
+ * @param {Object} product
+ * @returns {Array<Object>}
+ */
+export const getWeddingInfoSchema = (product) =>
+  Array.isArray(product.weddingInfoSchema) && product.weddingInfoSchema.length > 0
+    ? product.weddingInfoSchema
+    : DEFAULT_WEDDING_INFO_SCHEMA;
+
+/**
+ * Validate field definitions set by an admin on a product
+ * @param {*} fields - Array of { key, label, type, required, maxLength }
+ * @returns {{ error: string }|{ fields: Array<Object> }}
+ */
+export const validateFieldDefinitions = (fields) => {
+  if (!Array.isArray(fields)) {
+    return { error: "weddingInfoSchema must be an array of field definitions" };
+  }
+
+  const keys = new Set();
+  const normalized = [];
+
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i] || {};
+    const position = `weddingInfoSchema[${i}]`;
+
+    if (typeof field.key !== "string" || !FIELD_KEY_PATTERN.test(field.key)) {
+      return { error: `${position}: key must start with a letter and contain only letters, numbers and underscores` };
+    }
+    if (keys.has(field.key)) {
+      return { error: `${position}: duplicate key ${field.key}` };
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      return { error: `${position}: type must be one of ${FIELD_TYPES.join(", ")}` };
+    }
+    if (
+      field.maxLength !== undefined &&
+      (!Number.isInteger(field.maxLength) || field.maxLength < 1 || field.maxLength > 10000)
+    ) {
+      return { error: `${position}: maxLength must be a whole number between 1 and 10000` };
+    }
+
+    keys.add(field.key);
+    normalized.push({
+      key: field.key,
+      label: typeof field.label === "string" && field.label.trim() ? field.label.trim() : field.key,
+      type: field.type,
+      required: field.required === true,
+      ...(field.maxLength !== undefined && { maxLength: field.maxLength }),
+    });
+  }
+
+  return { fields: normalized };
+};
+
+// Validate and coerce one value, returning [value] or [undefined, message]
+const validateValue = (field, value) => {
+  switch (field.type) {
+    case "string":
+    case "text":
+    case "url": {
+      if (typeof value !== "string") return [undefined, "must be text"];
+      const text = value.trim();
+      const maxLength = field.maxLength || DEFAULT_MAX_LENGTH[field.type];
+      if (text.length > maxLength) return [undefined, `must be at most ${maxLength} characters`];
+      if (field.type === "url") {
+        let url;
+        try {
+          url = new URL(text);
+        } catch {
+          return [undefined, "must be a valid URL"];
+        }
+        if (url.protocol !== "http:" && url.protocol !== "https:") {
+          return [undefined, "must be an http or https URL"];
+        }
+      }
+      return [text];
+    }
+    case "date": {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (typeof value !== "string" || !DATE_PATTERN.test(value) || Number.isNaN(date.getTime()) ||
+          date.toISOString().slice(0, 10) !== value) {
+        return [undefined, "must be a date in YYYY-MM-DD format"];
+      }
+      return [value];
+    }
+    case "time":
+      if (typeof value !== "string" || !TIME_PATTERN.test(value)) {
+        return [undefined, "must be a time in HH:MM format"];
+      }
+      return [value];
+    case "number": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) return [undefined, "must be a number"];
+      return [number];
+    }
+    case "boolean":
+      if (value === true || value === "true") return [true];
+      if (value === false || value === "false") return [false];
+      return [undefined, "must be true or false"];
+    default:
+      return [undefined, "has an unsupported type"];
+  }
+};
+
+/**
+ * Validate weddingInfo against a product's field schema
+ * @param {Array<Object>} fields - Field definitions (see getWeddingInfoSchema)
+ * @param {*} weddingInfo - Submitted weddingInfo (object or JSON string)
+ * @returns {{ errors: Object<string, string> }|{ value: Object }} - Per-field messages, or the cleaned value
+ */
+export const validateWeddingInfo = (fields, weddingInfo) => {
+  const parsed = parseJsonField(weddingInfo === undefined ? {} : weddingInfo);
+  if (parsed.error) {
+    return { errors: { weddingInfo: `weddingInfo ${parsed.error}` } };
+  }
+
+  const data = parsed.value;
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { errors: { weddingInfo: "weddingInfo must be an object" } };
+  }
+
+  const errors = {};
+  const value = {};
+  const knownKeys = new Set(fields.map((field) => field.key));
+
+  for (const key of Object.keys(data)) {
+    if (!knownKeys.has(key)) errors[key] = `${key} is not a field of this product`;
+  }
+
+  for (const field of fields) {
+    const raw = data[field.key];
+    const isEmpty = raw === undefined || raw === null || (typeof raw === "string" && raw.trim() === "");
+
+    if (isEmpty) {
+      if (field.required) errors[field.key] = `${field.key} is required`;
+      continue;
+    }
+
+    const [cleaned, message] = validateValue(field, raw);
+    if (message) {
+      errors[field.key] = `${field.key} ${message}`;
+    } else {
+      value[field.key] = cleaned;
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+};
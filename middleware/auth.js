@@ -0,0 +1,50 @@
+import prisma from '../lib/prisma.js';
+import { verifyAccessToken, isTokenError } from '../lib/auth.js';
+import { ROLES } from '../lib/permissions.js';
+import { HttpError } from '../lib/errors.js';
+
+// Verify the bearer token from the Authorization header and attach the
+// caller's identity to req.user
+export const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    throw new HttpError(401, 'Missing or invalid Authorization header');
+  }
+
+  let claims;
+  try {
+    claims = await verifyAccessToken(token);
+  } catch (error) {
+    if (isTokenError(error)) {
+      throw new HttpError(401, 'Invalid or expired token');
+    }
+    throw error;
+  }
+
+  // Roles live in our database, not in the token
+  const user = await prisma.user.findUnique({
+    where: { id: claims.sub },
+    select: { role: true }
+  });
+
+  req.user = {
+    id: claims.sub,
+    name: claims.name,
+    role: user ? user.role : ROLES.CUSTOMER,
+    claims
+  };
+
+  next();
+};
+
+// Only allow callers holding one of the given roles. Must run after
+// authenticate.
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    throw new HttpError(403, 'You do not have permission to perform this action');
+  }
+
+  next();
+};
@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+import config from '../lib/config.js';
+import { HttpError } from '../lib/errors.js';
+
+// Only allow scheduled jobs. Vercel Cron sends CRON_SECRET as a bearer
+// token; without a configured secret every call is rejected.
+export const authenticateCron = (req, res, next) => {
+  const { secret } = config.cron;
+  if (!secret) {
+    console.error('CRON_SECRET is not set, rejecting cron request');
+    throw new HttpError(401, 'Cron jobs are not configured');
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new HttpError(401, 'Invalid cron secret');
+  }
+
+  next();
+};
@@ -0,0 +1,82 @@
+import multer from 'multer';
+import { Prisma } from '@prisma/client';
+import { HttpError, ERROR_CODES, toErrorBody } from '../lib/errors.js';
+
+// Prisma error codes with a meaning for the client
+// https://www.prisma.io/docs/orm/reference/error-reference
+const PRISMA_ERRORS = {
+  P2025: [404, ERROR_CODES.NOT_FOUND, 'Resource not found'],
+  P2002: [409, ERROR_CODES.CONFLICT, 'A resource with these values already exists'],
+  P2003: [409, ERROR_CODES.CONFLICT, 'The resource is still referenced by other records'],
+  P2034: [409, ERROR_CODES.CONFLICT, 'The request conflicted with a concurrent change, please try again']
+};
+
+// Messages for multer's error codes
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: 'File is too large',
+  LIMIT_FILE_COUNT: 'Too many files',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field',
+  LIMIT_PART_COUNT: 'Too many form parts',
+  LIMIT_FIELD_KEY: 'Form field name is too long',
+  LIMIT_FIELD_VALUE: 'Form field value is too long',
+  LIMIT_FIELD_COUNT: 'Too many form fields'
+};
+
+/**
+ * Turn any error into an HttpError. Errors that are not recognized become a
+ * generic 500 so internals never reach the client.
+ * @param {Error} error
+ * @returns {HttpError}
+ */
+export const toHttpError = (error) => {
+  if (error instanceof HttpError) return error;
+
+  if (error instanceof multer.MulterError) {
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    const message = MULTER_MESSAGES[error.code] || 'Invalid upload';
+    return new HttpError(status, error.field ? `${message}: ${error.field}` : message, {
+      fields: error.field ? { [error.field]: message } : null
+    });
+  }
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError && PRISMA_ERRORS[error.code]) {
+    const [status, code, message] = PRISMA_ERRORS[error.code];
+    const target = error.code === 'P2002' ? error.meta?.target : null;
+    const fields = Array.isArray(target)
+      ? Object.fromEntries(target.map(field => [field, 'must be unique']))
+      : null;
+    return new HttpError(status, message, { code, fields });
+  }
+
+  // Body parser errors (malformed JSON, oversized bodies) carry a status
+  if (error.type === 'entity.parse.failed') {
+    return new HttpError(400, 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new HttpError(413, 'Request body is too large');
+  }
+
+  return new HttpError(500, 'Internal server error');
+};
+
+// Answer requests no route matched
+export const notFoundHandler = (req, res, next) => {
+  next(new HttpError(404, `Route not found: ${req.method} ${req.path}`));
+};
+
+// Send every error as { error: { code, message, fields } }. Must be
+// registered after all routes.
+export const errorHandler = (err, req, res, next) => {
+  const error = toHttpError(err);
+
+  if (error.status >= 500) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  // The response has started (e.g. a streamed export); cut it off
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(error.status).json(toErrorBody(error.code, error.message, error.fields));
+};
@@ -0,0 +1,22 @@
+import prisma from '../lib/prisma.js';
+import { canAccessOrder } from '../lib/permissions.js';
+import { HttpError } from '../lib/errors.js';
+
+// Load the order from :id into req.order, allowing only its owner or an
+// admin through. Must run after authenticate.
+export const loadAccessibleOrder = async (req, res, next) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id, deletedAt: null }
+  });
+
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+
+  if (!canAccessOrder(req.user, order)) {
+    throw new HttpError(403, 'You do not have access to this order');
+  }
+
+  req.order = order;
+  next();
+};
@@ -0,0 +1,13 @@
+import rateLimit from 'express-rate-limit';
+import { HttpError } from '../lib/errors.js';
+
+// Limit public RSVP submissions per client IP
+export const rsvpRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: 10,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  handler: (req, res, next) => {
+    next(new HttpError(429, 'Too many RSVP submissions, please try again later'));
+  }
+});
@@ -1,4 +1,8 @@
 import multer from 'multer';
+import config from '../lib/config.js';
+import { MAX_GALLERY_IMAGES } from '../lib/productImages.js';
+import { MAX_ORDER_IMAGES } from '../lib/orderImages.js';
+import { HttpError } from '../lib/errors.js';
 
 // Configure multer to store files in memory
 const storage = multer.memoryStorage();
@@ -9,7 +13,9 @@ const fileFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image/')) {
     cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed!'), false);
+    cb(new HttpError(400, 'Only image files are allowed', {
+      fields: { [file.fieldname]: 'must be an image' }
+    }), false);
   }
 };
 
@@ -18,14 +24,46 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB max file size
+    fileSize: config.uploads.maxImageBytes // UPLOAD_MAX_IMAGE_MB, default 5MB
   }
 });
 
 // Middleware for product image uploads
 export const uploadProductImages = upload.fields([
   { name: 'thumbnail', maxCount: 1 },
-  { name: 'gallery', maxCount: 5 }
+  { name: 'gallery', maxCount: MAX_GALLERY_IMAGES }
 ]);
 
+// Middleware for replacing the thumbnail of an existing product. Gallery
+// images go through the gallery endpoints instead.
+export const uploadProductThumbnail = upload.fields([
+  { name: 'thumbnail', maxCount: 1 }
+]);
+
+// Middleware for adding images to an existing product gallery
+export const uploadGalleryImages = upload.array('gallery', MAX_GALLERY_IMAGES);
+
+// Middleware for images attached to an order at checkout or afterwards
+export const uploadOrderImages = upload.array('images', MAX_ORDER_IMAGES);
+
+// Middleware for guest list (CSV) uploads
+export const uploadGuestList = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.mimetype === 'text/csv'
+      || file.mimetype === 'application/vnd.ms-excel'
+      || file.originalname.toLowerCase().endsWith('.csv');
+    if (isCsv) {
+      cb(null, true);
+    } else {
+      cb(new HttpError(400, 'Only CSV files are allowed', {
+        fields: { [file.fieldname]: 'must be a CSV file' }
+      }), false);
+    }
+  },
+  limits: {
+    fileSize: config.uploads.maxGuestListBytes // UPLOAD_MAX_GUEST_LIST_MB, default 1MB
+  }
+}).single('file');
+
 export default upload;
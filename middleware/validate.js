@@ -0,0 +1,45 @@
+import { HttpError } from '../lib/errors.js';
+
+// Parts of the request a schema can be given for
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Collect zod issues into one message per field, keyed by its path
+ * (e.g. "tags.0" or "weddingInfo.groomName")
+ * @param {Array<Object>} issues - ZodError issues
+ * @returns {Object<string, string>}
+ */
+export const toFieldErrors = (issues) => {
+  const fields = {};
+  for (const issue of issues) {
+    const key = issue.path.length > 0 ? issue.path.join('.') : '_';
+    if (!fields[key]) fields[key] = issue.message;
+  }
+  return fields;
+};
+
+// Validate the request against zod schemas for its params, query and body,
+// replacing each part with the parsed (coerced and defaulted) value. Routes
+// with file uploads must run it after multer, which fills req.body.
+export const validate = (schemas) => (req, res, next) => {
+  const fields = {};
+
+  for (const part of REQUEST_PARTS) {
+    if (!schemas[part]) continue;
+
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (result.success) {
+      // req.query is a getter in Express 5, so it is shadowed instead
+      Object.defineProperty(req, part, { value: result.data, writable: true, configurable: true, enumerable: true });
+    } else {
+      Object.assign(fields, toFieldErrors(result.error.issues));
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    const [firstField, firstMessage] = Object.entries(fields)[0];
+    throw new HttpError(400, firstField === '_' ? firstMessage : `Invalid ${firstField}: ${firstMessage}`, { fields });
+  }
+
+  next();
+};
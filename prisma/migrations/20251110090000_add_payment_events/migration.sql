@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "payment_events" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "transactionId" TEXT,
+    "transactionStatus" TEXT NOT NULL,
+    "fraudStatus" TEXT,
+    "statusCode" TEXT NOT NULL,
+    "grossAmount" TEXT NOT NULL,
+    "transactionTime" TIMESTAMP(3),
+    "payload" JSONB NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+
+    CONSTRAINT "payment_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payment_events_orderId_createdAt_idx" ON "payment_events"("orderId", "createdAt");
@@ -0,0 +1,27 @@
+-- Migrate legacy free-form statuses to the canonical set
+UPDATE "orders" SET "status" = 'pending_payment' WHERE "status" = 'pending';
+UPDATE "orders" SET "status" = 'paid' WHERE "status" = 'diterima';
+UPDATE "orders" SET "status" = 'cancelled' WHERE "status" = 'dibatalkan';
+
+-- AlterTable
+ALTER TABLE "orders" ALTER COLUMN "status" SET DEFAULT 'pending_payment';
+
+-- CreateTable
+CREATE TABLE "order_status_history" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_status_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_status_history_orderId_createdAt_idx" ON "order_status_history"("orderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "order_status_history" ADD CONSTRAINT "order_status_history_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "amount" DOUBLE PRECISION,
+ADD COLUMN     "snapRedirectUrl" TEXT;
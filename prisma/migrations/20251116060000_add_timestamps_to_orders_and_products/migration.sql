@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing rows are backfilled above; @updatedAt is maintained by Prisma
+ALTER TABLE "orders" ALTER COLUMN "updatedAt" DROP DEFAULT;
+ALTER TABLE "products" ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- CreateIndex
+CREATE INDEX "orders_createdAt_idx" ON "orders"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "products_createdAt_idx" ON "products"("createdAt");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "published" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "slug" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "orders_slug_key" ON "orders"("slug");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "rsvps" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameKey" TEXT NOT NULL,
+    "attendance" TEXT NOT NULL,
+    "attendees" INTEGER NOT NULL DEFAULT 1,
+    "message" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "rsvps_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rsvps_orderId_createdAt_idx" ON "rsvps"("orderId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "rsvps_orderId_nameKey_key" ON "rsvps"("orderId", "nameKey");
+
+-- AddForeignKey
+ALTER TABLE "rsvps" ADD CONSTRAINT "rsvps_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "rsvps" ADD COLUMN     "guestId" TEXT;
+
+-- CreateTable
+CREATE TABLE "guests" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameKey" TEXT NOT NULL,
+    "phone" TEXT,
+    "token" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "guests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "guests_token_key" ON "guests"("token");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "guests_orderId_nameKey_key" ON "guests"("orderId", "nameKey");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "rsvps_guestId_key" ON "rsvps"("guestId");
+
+-- AddForeignKey
+ALTER TABLE "guests" ADD CONSTRAINT "guests_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "rsvps" ADD CONSTRAINT "rsvps_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "guests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- DropForeignKey
+ALTER TABLE "orders" DROP CONSTRAINT "orders_productId_fkey";
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "orders_deletedAt_idx" ON "orders"("deletedAt");
+
+-- CreateIndex
+CREATE INDEX "products_deletedAt_idx" ON "products"("deletedAt");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "refunds" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "refundKey" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "reason" TEXT,
+    "status" TEXT NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "midtransRefundId" TEXT,
+    "failureMessage" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refunds_refundKey_key" ON "refunds"("refundKey");
+
+-- CreateIndex
+CREATE INDEX "refunds_orderId_idx" ON "refunds"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
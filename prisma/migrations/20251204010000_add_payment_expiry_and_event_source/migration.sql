@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "paymentExpiresAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "payment_events" ADD COLUMN     "source" TEXT NOT NULL DEFAULT 'notification';
+
+-- CreateIndex
+CREATE INDEX "orders_status_createdAt_idx" ON "orders"("status", "createdAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "email" TEXT,
+ADD COLUMN     "locale" TEXT NOT NULL DEFAULT 'id';
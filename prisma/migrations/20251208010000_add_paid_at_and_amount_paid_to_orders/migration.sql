@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "amountPaid" INTEGER,
+ADD COLUMN     "paidAt" TIMESTAMP(3);
+
+-- Backfill from the first move to paid in the status history
+UPDATE "orders" AS o
+SET "paidAt" = h."paidAt",
+    "amountPaid" = ROUND(o."amount")::INTEGER
+FROM (
+    SELECT "orderId", MIN("createdAt") AS "paidAt"
+    FROM "order_status_history"
+    WHERE "toStatus" = 'paid'
+    GROUP BY "orderId"
+) AS h
+WHERE h."orderId" = o."id";
+
+-- CreateIndex
+CREATE INDEX "orders_paidAt_idx" ON "orders"("paidAt");
@@ -0,0 +1,66 @@
+import express from 'express';
+import { getAllUsers, updateUserRole } from '../controllers/userController.js';
+import { reconcileStorageFiles } from '../controllers/storageController.js';
+import { reconcilePendingPayments } from '../controllers/midtransController.js';
+import { getStats } from '../controllers/statsController.js';
+import { getDeletedProducts, restoreProduct, purgeProduct } from '../controllers/productController.js';
+import { getDeletedOrders, restoreOrder, purgeOrder } from '../controllers/orderController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { ROLES } from '../lib/permissions.js';
+import {
+  statsSchema,
+  getUsersSchema,
+  updateUserRoleSchema,
+  reconcileStorageSchema
+} from '../schemas/adminSchemas.js';
+import { reconcilePaymentsSchema } from '../schemas/midtransSchemas.js';
+import { getDeletedProductsSchema, productIdSchema } from '../schemas/productSchemas.js';
+import { getOrdersSchema, orderIdSchema } from '../schemas/orderSchemas.js';
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+// GET /api/admin/stats - Revenue per day, week and month, orders by status,
+// conversion and top products and tags (?from=, ?to=, ?top=)
+router.get('/stats', validate(statsSchema), getStats);
+
+// GET /api/admin/users - Get all users (supports ?role=xxx query)
+router.get('/users', validate(getUsersSchema), getAllUsers);
+
+// PUT /api/admin/users/:id/role - Promote or demote a user
+router.put('/users/:id/role', validate(updateUserRoleSchema), updateUserRole);
+
+// GET /api/admin/products/deleted - Get deleted products (paginated,
+// ?sortBy=deletedAt|createdAt|name)
+router.get('/products/deleted', validate(getDeletedProductsSchema), getDeletedProducts);
+
+// POST /api/admin/products/:id/restore - Restore a deleted product
+router.post('/products/:id/restore', validate(productIdSchema), restoreProduct);
+
+// DELETE /api/admin/products/:id/purge - Permanently delete a deleted product
+// and its images (only when no order refers to it)
+router.delete('/products/:id/purge', validate(productIdSchema), purgeProduct);
+
+// GET /api/admin/orders/deleted - Get deleted orders (paginated, supports
+// ?userId=xxx and ?status=xxx)
+router.get('/orders/deleted', validate(getOrdersSchema), getDeletedOrders);
+
+// POST /api/admin/orders/:id/restore - Restore a deleted order
+router.post('/orders/:id/restore', validate(orderIdSchema), restoreOrder);
+
+// DELETE /api/admin/orders/:id/purge - Permanently delete a deleted order that
+// was never paid, and its images
+router.delete('/orders/:id/purge', validate(orderIdSchema), purgeOrder);
+
+// POST /api/admin/storage/reconcile - Report orphaned files and dangling URLs
+// ({ apply: true } deletes the orphans, { minAgeMinutes } skips recent files)
+router.post('/storage/reconcile', validate(reconcileStorageSchema), reconcileStorageFiles);
+
+// POST /api/admin/payments/reconcile - Sync pending orders with Midtrans and
+// cancel expired ones ({ minAgeMinutes, limit }), as the cron job does
+router.post('/payments/reconcile', validate(reconcilePaymentsSchema), reconcilePendingPayments);
+
+export default router;
@@ -1,9 +1,12 @@
 import express from 'express';
 import { syncUser } from '../controllers/authController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { syncUserSchema } from '../schemas/authSchemas.js';
 
 const router = express.Router();
 
-// POST /api/auth/sync-user
-router.post('/sync-user', syncUser);
+// POST /api/auth/sync-user - Create or update the caller's user ({ name, locale })
+router.post('/sync-user', authenticate, validate(syncUserSchema), syncUser);
 
 export default router;
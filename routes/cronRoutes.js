@@ -0,0 +1,16 @@
+import express from 'express';
+import { reconcilePendingPayments } from '../controllers/midtransController.js';
+import { authenticateCron } from '../middleware/cronAuth.js';
+import { validate } from '../middleware/validate.js';
+import { cronReconcilePaymentsSchema } from '../schemas/midtransSchemas.js';
+
+const router = express.Router();
+
+// Cron routes are called by Vercel Cron with the CRON_SECRET (see vercel.json)
+router.use(authenticateCron);
+
+// GET /api/cron/reconcile-payments - Sync pending orders with Midtrans and
+// cancel the ones whose payment window expired
+router.get('/reconcile-payments', validate(cronReconcilePaymentsSchema), reconcilePendingPayments);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { getInvitationBySlug } from "../controllers/invitationController.js";
+import { submitRsvp } from "../controllers/rsvpController.js";
+import { rsvpRateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { getInvitationSchema, submitRsvpSchema } from "../schemas/invitationSchemas.js";
+
+const router = express.Router();
+
+// GET /api/invitations/:slug - Get a published invitation (public, no auth)
+router.get("/:slug", validate(getInvitationSchema), getInvitationBySlug);
+
+// POST /api/invitations/:slug/rsvp - Submit an RSVP (public, rate limited)
+router.post("/:slug/rsvp", rsvpRateLimit, validate(submitRsvpSchema), submitRsvp);
+
+export default router;
@@ -1,19 +1,19 @@
 import express from 'express';
 import { 
-  createTransaction, 
   handleNotification, 
   getTransactionStatus 
 } from '../controllers/midtransController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { notificationSchema, transactionStatusSchema } from '../schemas/midtransSchemas.js';
 
 const router = express.Router();
 
-// POST /api/midtrans/create-transaction - Create a new payment transaction
-router.post('/create-transaction', createTransaction);
-
 // POST /api/midtrans/notification - Handle Midtrans webhook notifications
-router.post('/notification', handleNotification);
+// (called by Midtrans itself, so it is not behind authenticate)
+router.post('/notification', validate(notificationSchema), handleNotification);
 
 // GET /api/midtrans/status/:orderId - Get transaction status
-router.get('/status/:orderId', getTransactionStatus);
+router.get('/status/:orderId', authenticate, validate(transactionStatusSchema), getTransactionStatus);
 
 export default router;
@@ -1,48 +1,142 @@
 import express from "express";
-import multer from "multer";
 import {
-  createOrder,
   getAllOrders,
+  exportOrders,
   getOrderById,
   getOrdersByUserId,
+  getOrderHistory,
   updateOrder,
   deleteOrder,
 } from "../controllers/orderController.js";
+import { checkout } from "../controllers/checkoutController.js";
+import { cancelOrder, refundOrder, getOrderRefunds } from "../controllers/refundController.js";
+import { updateInvitation } from "../controllers/invitationController.js";
+import { getOrderRsvps, getOrderRsvpSummary } from "../controllers/rsvpController.js";
+import {
+  importGuests,
+  getOrderGuests,
+  exportGuestLinks,
+  deleteGuest,
+} from "../controllers/guestController.js";
+import {
+  addOrderImages,
+  removeOrderImage,
+  reorderOrderImages,
+} from "../controllers/orderImageController.js";
+import { uploadOrderImages, uploadGuestList } from "../middleware/upload.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import { loadAccessibleOrder } from "../middleware/orderAccess.js";
+import { validate } from "../middleware/validate.js";
+import { ROLES } from "../lib/permissions.js";
+import {
+  checkoutSchema,
+  getOrdersSchema,
+  exportOrdersSchema,
+  getUserOrdersSchema,
+  orderIdSchema,
+  updateOrderSchema,
+  cancelOrderSchema,
+  refundOrderSchema,
+  orderImageSchema,
+  reorderOrderImagesSchema,
+} from "../schemas/orderSchemas.js";
+import {
+  updateInvitationSchema,
+  getRsvpsSchema,
+  getGuestsSchema,
+  importGuestsSchema,
+  guestIdSchema,
+} from "../schemas/invitationSchemas.js";
 
 const router = express.Router();
 
-// Configure multer for memory storage
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept only image files
-    if (file.mimetype.startsWith("image/")) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed"), false);
-    }
-  },
-});
-
-// POST /api/orders - Create a new order
-router.post("/", upload.array("images", 9), createOrder);
-
-// GET /api/orders - Get all orders (supports ?userId=xxx and ?status=xxx query)
-router.get("/", getAllOrders);
-
-// GET /api/orders/user/:userId - Get orders by user ID
-router.get("/user/:userId", getOrdersByUserId);
+// All order routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/orders/checkout - Create an order together with its Midtrans
+// payment transaction ({ productId, variantId, addons: [{ id, quantity }],
+// voucherCode, weddingInfo } plus "images" files)
+router.post("/checkout", uploadOrderImages, validate(checkoutSchema), checkout);
+
+// GET /api/orders - Get all orders (supports ?userId=xxx, ?status=xxx, ?from=,
+// ?to=, ?sortBy=createdAt|price|status, ?order=, ?limit= and ?cursor= query,
+// customers only ever see their own orders)
+router.get("/", validate(getOrdersSchema), getAllOrders);
+
+// GET /api/orders/export - Download orders as CSV or XLSX (?format=csv|xlsx
+// plus the filters and sorting of GET /api/orders, admin only)
+router.get("/export", authorize(ROLES.ADMIN), validate(exportOrdersSchema), exportOrders);
+
+// GET /api/orders/user/:userId - Get orders by user ID (own user ID unless admin)
+router.get("/user/:userId", validate(getUserOrdersSchema), getOrdersByUserId);
 
 // GET /api/orders/:id - Get a single order by ID
-router.get("/:id", getOrderById);
+router.get("/:id", validate(orderIdSchema), getOrderById);
+
+// GET /api/orders/:id/history - Get the status history of an order
+router.get("/:id/history", validate(orderIdSchema), getOrderHistory);
+
+// POST /api/orders/:id/cancel - Cancel an order and void its Midtrans
+// transaction ({ reason }, admin only)
+router.post("/:id/cancel", authorize(ROLES.ADMIN), validate(cancelOrderSchema), loadAccessibleOrder, cancelOrder);
+
+// POST /api/orders/:id/refund - Refund all or part of the payment through
+// Midtrans ({ amount, reason }, admin only)
+router.post("/:id/refund", authorize(ROLES.ADMIN), validate(refundOrderSchema), loadAccessibleOrder, refundOrder);
+
+// GET /api/orders/:id/refunds - Get the refunds of an order
+router.get("/:id/refunds", validate(orderIdSchema), loadAccessibleOrder, getOrderRefunds);
+
+// PUT /api/orders/:id/invitation - Change the invitation slug or publish it
+router.put("/:id/invitation", validate(updateInvitationSchema), updateInvitation);
+
+// GET /api/orders/:id/rsvps - Get the RSVPs of an order (supports
+// ?attendance=attending|declined, ?q=name and pagination)
+router.get("/:id/rsvps", validate(getRsvpsSchema), loadAccessibleOrder, getOrderRsvps);
+
+// GET /api/orders/:id/rsvps/summary - Count responses and the headcount
+router.get("/:id/rsvps/summary", validate(orderIdSchema), loadAccessibleOrder, getOrderRsvpSummary);
+
+// POST /api/orders/:id/images - Append images to an order
+router.post(
+  "/:id/images",
+  validate(orderIdSchema),
+  loadAccessibleOrder,
+  uploadOrderImages,
+  addOrderImages
+);
+
+// DELETE /api/orders/:id/images - Remove one image (?url= or ?index=)
+router.delete("/:id/images", validate(orderImageSchema), loadAccessibleOrder, removeOrderImage);
+
+// PUT /api/orders/:id/images/order - Reorder images ({ imageUrls: [...] })
+router.put("/:id/images/order", validate(reorderOrderImagesSchema), loadAccessibleOrder, reorderOrderImages);
+
+// POST /api/orders/:id/guests - Import guests from a CSV file (field "file")
+// or a JSON body ({ guests: [{ name, phone }] })
+router.post(
+  "/:id/guests",
+  validate(orderIdSchema),
+  loadAccessibleOrder,
+  uploadGuestList,
+  validate(importGuestsSchema),
+  importGuests
+);
+
+// GET /api/orders/:id/guests - Get the guest list with personalized links
+router.get("/:id/guests", validate(getGuestsSchema), loadAccessibleOrder, getOrderGuests);
+
+// GET /api/orders/:id/guests/export - Download guests and their links as CSV
+router.get("/:id/guests/export", validate(orderIdSchema), loadAccessibleOrder, exportGuestLinks);
+
+// DELETE /api/orders/:id/guests/:guestId - Remove a guest
+router.delete("/:id/guests/:guestId", validate(guestIdSchema), loadAccessibleOrder, deleteGuest);
 
-// PUT /api/orders/:id - Update an order
-router.put("/:id", updateOrder);
+// PUT /api/orders/:id - Update an order (status changes are admin only)
+router.put("/:id", validate(updateOrderSchema), updateOrder);
 
-// DELETE /api/orders/:id - Delete an order
-router.delete("/:id", deleteOrder);
+// DELETE /api/orders/:id - Delete an order, cancelling it while it awaits payment
+// (customers: unpaid orders only; restorable by an admin until purged)
+router.delete("/:id", validate(orderIdSchema), deleteOrder);
 
 export default router;
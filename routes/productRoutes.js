@@ -3,26 +3,108 @@ import {
   createProduct, 
   getAllProducts, 
   getProductById, 
+  getProductFormSchema, 
   updateProduct, 
   deleteProduct 
 } from '../controllers/productController.js';
-import { uploadProductImages } from '../middleware/upload.js';
+import {
+  addGalleryImages,
+  removeGalleryImage,
+  reorderGallery,
+  promoteGalleryImage
+} from '../controllers/productGalleryController.js';
+import {
+  getProductVariants,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
+  getProductAddons,
+  createProductAddon,
+  updateProductAddon,
+  deleteProductAddon
+} from '../controllers/productOptionController.js';
+import { uploadProductImages, uploadProductThumbnail, uploadGalleryImages } from '../middleware/upload.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { ROLES } from '../lib/permissions.js';
+import {
+  getProductsSchema,
+  productIdSchema,
+  createProductSchema,
+  updateProductSchema,
+  galleryImageSchema,
+  reorderGallerySchema,
+  createVariantSchema,
+  updateVariantSchema,
+  variantIdSchema,
+  createAddonSchema,
+  updateAddonSchema,
+  addonIdSchema
+} from '../schemas/productSchemas.js';
 
 const router = express.Router();
 
-// POST /api/products - Create a new product (with image uploads)
-router.post('/', uploadProductImages, createProduct);
+// POST /api/products - Create a new product (with image uploads, admin only)
+router.post('/', authenticate, authorize(ROLES.ADMIN), uploadProductImages, validate(createProductSchema), createProduct);
 
-// GET /api/products - Get all products (supports ?tag=tagname query)
-router.get('/', getAllProducts);
+// GET /api/products - Get all products. Supports search (?q=, ?minPrice=,
+// ?maxPrice=, ?tags=a,b with ?tagMode=any|all, ?tag=), date range (?from=,
+// ?to=), sorting (?sortBy=createdAt|price|name|popularity, ?order=) and
+// pagination (?limit=, ?cursor=)
+router.get('/', validate(getProductsSchema), getAllProducts);
 
-// GET /api/products/:id - Get a single product by ID
-router.get('/:id', getProductById);
+// GET /api/products/:id - Get a single product by ID (with its active
+// variants and add-ons)
+router.get('/:id', validate(productIdSchema), getProductById);
 
-// PUT /api/products/:id - Update a product (with image uploads)
-router.put('/:id', uploadProductImages, updateProduct);
+// GET /api/products/:id/form-schema - Get the weddingInfo fields an order for
+// this product must provide
+router.get('/:id/form-schema', validate(productIdSchema), getProductFormSchema);
 
-// DELETE /api/products/:id - Delete a product
-router.delete('/:id', deleteProduct);
+// PUT /api/products/:id - Update a product (with a thumbnail upload, admin
+// only; the gallery is edited through the /gallery endpoints below)
+router.put('/:id', authenticate, authorize(ROLES.ADMIN), uploadProductThumbnail, validate(updateProductSchema), updateProduct);
+
+// POST /api/products/:id/gallery - Append gallery images (field "gallery", admin only)
+router.post('/:id/gallery', authenticate, authorize(ROLES.ADMIN), validate(productIdSchema), uploadGalleryImages, addGalleryImages);
+
+// DELETE /api/products/:id/gallery - Remove one gallery image (?url= or ?index=, admin only)
+router.delete('/:id/gallery', authenticate, authorize(ROLES.ADMIN), validate(galleryImageSchema), removeGalleryImage);
+
+// PUT /api/products/:id/gallery/order - Reorder the gallery ({ galleryUrls: [...] }, admin only)
+router.put('/:id/gallery/order', authenticate, authorize(ROLES.ADMIN), validate(reorderGallerySchema), reorderGallery);
+
+// POST /api/products/:id/gallery/promote - Make a gallery image the thumbnail
+// ({ url } or { index }, admin only)
+router.post('/:id/gallery/promote', authenticate, authorize(ROLES.ADMIN), validate(galleryImageSchema), promoteGalleryImage);
+
+// GET /api/products/:id/variants - Get all variants, including inactive ones (admin only)
+router.get('/:id/variants', authenticate, authorize(ROLES.ADMIN), validate(productIdSchema), getProductVariants);
+
+// POST /api/products/:id/variants - Add a variant ({ name, price, sortOrder, active }, admin only)
+router.post('/:id/variants', authenticate, authorize(ROLES.ADMIN), validate(createVariantSchema), createProductVariant);
+
+// PUT /api/products/:id/variants/:variantId - Update a variant (admin only)
+router.put('/:id/variants/:variantId', authenticate, authorize(ROLES.ADMIN), validate(updateVariantSchema), updateProductVariant);
+
+// DELETE /api/products/:id/variants/:variantId - Delete a variant (admin only)
+router.delete('/:id/variants/:variantId', authenticate, authorize(ROLES.ADMIN), validate(variantIdSchema), deleteProductVariant);
+
+// GET /api/products/:id/addons - Get all add-ons, including inactive ones (admin only)
+router.get('/:id/addons', authenticate, authorize(ROLES.ADMIN), validate(productIdSchema), getProductAddons);
+
+// POST /api/products/:id/addons - Add an add-on ({ name, price, description,
+// maxQuantity, sortOrder, active }, admin only)
+router.post('/:id/addons', authenticate, authorize(ROLES.ADMIN), validate(createAddonSchema), createProductAddon);
+
+// PUT /api/products/:id/addons/:addonId - Update an add-on (admin only)
+router.put('/:id/addons/:addonId', authenticate, authorize(ROLES.ADMIN), validate(updateAddonSchema), updateProductAddon);
+
+// DELETE /api/products/:id/addons/:addonId - Delete an add-on (admin only)
+router.delete('/:id/addons/:addonId', authenticate, authorize(ROLES.ADMIN), validate(addonIdSchema), deleteProductAddon);
+
+// DELETE /api/products/:id - Delete a product (admin only, restorable until
+// purged; blocked while it has open, paid or completed orders)
+router.delete('/:id', authenticate, authorize(ROLES.ADMIN), validate(productIdSchema), deleteProduct);
 
 export default router;
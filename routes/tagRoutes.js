@@ -6,22 +6,26 @@ import {
   updateTag, 
   deleteTag 
 } from '../controllers/tagController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { ROLES } from '../lib/permissions.js';
+import { createTagsSchema, tagIdSchema, updateTagSchema } from '../schemas/tagSchemas.js';
 
 const router = express.Router();
 
-// POST /api/tags - Create new tags from comma-separated string
-router.post('/', createTags);
+// POST /api/tags - Create new tags from comma-separated string (admin only)
+router.post('/', authenticate, authorize(ROLES.ADMIN), validate(createTagsSchema), createTags);
 
 // GET /api/tags - Get all tags
 router.get('/', getAllTags);
 
 // GET /api/tags/:id - Get a single tag by ID
-router.get('/:id', getTagById);
+router.get('/:id', validate(tagIdSchema), getTagById);
 
-// PUT /api/tags/:id - Update a tag
-router.put('/:id', updateTag);
+// PUT /api/tags/:id - Update a tag (admin only)
+router.put('/:id', authenticate, authorize(ROLES.ADMIN), validate(updateTagSchema), updateTag);
 
-// DELETE /api/tags/:id - Delete a tag
-router.delete('/:id', deleteTag);
+// DELETE /api/tags/:id - Delete a tag (admin only)
+router.delete('/:id', authenticate, authorize(ROLES.ADMIN), validate(tagIdSchema), deleteTag);
 
 export default router;
@@ -0,0 +1,48 @@
+import express from "express";
+import {
+  getAllVouchers,
+  getVoucherById,
+  createVoucher,
+  updateVoucher,
+  deleteVoucher,
+  validateVoucher,
+} from "../controllers/voucherController.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { ROLES } from "../lib/permissions.js";
+import {
+  getVouchersSchema,
+  voucherIdSchema,
+  createVoucherSchema,
+  updateVoucherSchema,
+  validateVoucherSchema,
+} from "../schemas/voucherSchemas.js";
+
+const router = express.Router();
+
+// All voucher routes require an authenticated user
+router.use(authenticate);
+
+// POST /api/vouchers/validate - Preview the discount of a code on an order
+// ({ code, productId, variantId, addons })
+router.post("/validate", validate(validateVoucherSchema), validateVoucher);
+
+// GET /api/vouchers - Get all vouchers (supports ?q=code, ?active=true|false,
+// ?sortBy=createdAt|code|endsAt and pagination, admin only)
+router.get("/", authorize(ROLES.ADMIN), validate(getVouchersSchema), getAllVouchers);
+
+// GET /api/vouchers/:id - Get a single voucher with its usage (admin only)
+router.get("/:id", authorize(ROLES.ADMIN), validate(voucherIdSchema), getVoucherById);
+
+// POST /api/vouchers - Create a voucher ({ code, type, value, description,
+// maxDiscount, minAmount, startsAt, endsAt, usageLimit, perUserLimit, active,
+// productIds, tags }, admin only)
+router.post("/", authorize(ROLES.ADMIN), validate(createVoucherSchema), createVoucher);
+
+// PUT /api/vouchers/:id - Update a voucher (admin only)
+router.put("/:id", authorize(ROLES.ADMIN), validate(updateVoucherSchema), updateVoucher);
+
+// DELETE /api/vouchers/:id - Delete a voucher that was never redeemed (admin only)
+router.delete("/:id", authorize(ROLES.ADMIN), validate(voucherIdSchema), deleteVoucher);
+
+export default router;
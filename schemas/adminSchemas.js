@@ -0,0 +1,46 @@
+import { z } from 'zod';
+import { ALL_ROLES } from '../lib/permissions.js';
+import { DEFAULT_STATS_DAYS, DEFAULT_TOP_LIMIT, MAX_TOP_LIMIT } from '../lib/orderStats.js';
+import { DEFAULT_MIN_ORPHAN_AGE_MINUTES } from '../lib/storageReconciliation.js';
+import { idParams, dateString, booleanFlag, integer } from './common.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/admin/stats - the range defaults to the last DEFAULT_STATS_DAYS days
+export const statsSchema = {
+  query: z
+    .object({
+      from: dateString.transform(value => new Date(value)).optional(),
+      to: dateString.transform(value => new Date(value)).optional(),
+      top: integer(1, MAX_TOP_LIMIT).default(DEFAULT_TOP_LIMIT)
+    })
+    .transform(({ from, to = new Date(), top }) => ({
+      from: from || new Date(to.getTime() - DEFAULT_STATS_DAYS * DAY_MS),
+      to,
+      top
+    }))
+    .refine(({ from, to }) => from <= to, { message: 'must be before to', path: ['from'] })
+};
+
+// GET /api/admin/users
+export const getUsersSchema = {
+  query: z.object({
+    role: z.enum(ALL_ROLES).optional()
+  })
+};
+
+// PUT /api/admin/users/:id/role
+export const updateUserRoleSchema = {
+  params: idParams,
+  body: z.object({
+    role: z.enum(ALL_ROLES)
+  })
+};
+
+// POST /api/admin/storage/reconcile
+export const reconcileStorageSchema = {
+  body: z.object({
+    apply: booleanFlag.default(false),
+    minAgeMinutes: z.coerce.number().min(0).default(DEFAULT_MIN_ORPHAN_AGE_MINUTES)
+  })
+};
@@ -0,0 +1,10 @@
+import { z } from 'zod';
+import { EMAIL_LOCALES } from '../lib/emailTemplates.js';
+
+// POST /api/auth/sync-user
+export const syncUserSchema = {
+  body: z.object({
+    name: z.string().trim().max(255).optional(),
+    locale: z.enum(Object.values(EMAIL_LOCALES)).optional()
+  })
+};
@@ -0,0 +1,69 @@
+import { z } from 'zod';
+import { MAX_LIMIT } from '../lib/pagination.js';
+
+// Route parameters holding row IDs, e.g. params('id', 'variantId')
+export const params = (...names) =>
+  z.object(Object.fromEntries(names.map(name => [name, z.string().min(1)])));
+
+// The common case: a single :id
+export const idParams = params('id');
+
+// Non-empty text, trimmed
+export const text = (max) => z.string().trim().min(1, 'must not be empty').max(max);
+
+// A date in any format new Date() understands, kept as the original string
+export const dateString = z
+  .string()
+  .refine(value => !Number.isNaN(new Date(value).getTime()), 'must be a valid date');
+
+// A date turned into a Date; null and "" clear it
+export const nullableDate = z.preprocess(
+  value => (value === '' ? null : value),
+  z.union([z.null(), dateString.transform(value => new Date(value))])
+);
+
+// true/false, also as "true"/"false" from query strings and forms
+export const booleanFlag = z.preprocess(
+  value => (value === 'true' ? true : value === 'false' ? false : value),
+  z.boolean()
+);
+
+// A non-negative amount of money, also as a string from forms. Unlike
+// z.coerce alone, "" and null are rejected instead of read as 0.
+export const amount = z.preprocess(
+  value => (value === '' || value === null ? undefined : value),
+  z.coerce.number().min(0)
+);
+
+// A whole number, also as a string from query strings and forms
+export const integer = (min, max = Number.MAX_SAFE_INTEGER) => z.coerce.number().int().min(min).max(max);
+
+// A JSON value that may arrive as a string (multipart form fields)
+export const jsonField = (schema) =>
+  z.preprocess((value, ctx) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      ctx.addIssue({ code: 'custom', message: 'must be valid JSON' });
+      return z.NEVER;
+    }
+  }, schema);
+
+// An image picked from a list by URL or by position (see findImageIndex in
+// lib/imageList.js), given in the body or the query string
+export const imageTarget = z.object({
+  url: z.string().min(1).optional(),
+  index: integer(0).optional()
+});
+
+// Pagination, sorting and date range query (see parseListQuery in
+// lib/pagination.js, which checks sortBy against the listing's fields)
+export const listQuery = z.object({
+  limit: integer(1, MAX_LIMIT).optional(),
+  cursor: z.string().min(1).optional(),
+  sortBy: z.string().optional(),
+  order: z.enum(['asc', 'desc']).optional(),
+  from: dateString.optional(),
+  to: dateString.optional()
+});
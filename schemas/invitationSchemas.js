@@ -0,0 +1,104 @@
+import { z } from 'zod';
+import { isValidSlug } from '../lib/slug.js';
+import {
+  RSVP_ATTENDANCE,
+  MAX_GUEST_NAME_LENGTH,
+  MAX_GUESTS_PER_IMPORT,
+  MAX_RSVP_MESSAGE_LENGTH,
+  MAX_RSVP_ATTENDEES
+} from '../lib/guests.js';
+import { params, idParams, listQuery, text, booleanFlag, integer, jsonField } from './common.js';
+
+const slugParams = z.object({
+  slug: z.string().min(1)
+});
+
+// ?to= carries the guest token of a personalized link
+const guestTokenQuery = z.object({
+  to: z.string().min(1).optional()
+});
+
+// GET /api/invitations/:slug
+export const getInvitationSchema = {
+  params: slugParams,
+  query: guestTokenQuery
+};
+
+const rsvpBody = z.object({
+  token: z.string().min(1).optional(),
+  name: text(MAX_GUEST_NAME_LENGTH).optional(),
+  message: z.string().trim().max(MAX_RSVP_MESSAGE_LENGTH).nullish()
+});
+
+// POST /api/invitations/:slug/rsvp - name may be left out when a guest token
+// is given. attendees defaults to 1 and is always 0 for declined RSVPs.
+export const submitRsvpSchema = {
+  params: slugParams,
+  query: guestTokenQuery,
+  body: z.discriminatedUnion('attendance', [
+    rsvpBody.extend({
+      attendance: z.literal(RSVP_ATTENDANCE.ATTENDING),
+      attendees: integer(1, MAX_RSVP_ATTENDEES).default(1)
+    }),
+    rsvpBody.extend({
+      attendance: z.literal(RSVP_ATTENDANCE.DECLINED),
+      attendees: z.unknown().transform(() => 0)
+    })
+  ])
+};
+
+// PUT /api/orders/:id/invitation
+export const updateInvitationSchema = {
+  params: idParams,
+  body: z.object({
+    slug: z
+      .string()
+      .trim()
+      .toLowerCase()
+      .refine(isValidSlug, 'use 3-60 lowercase letters, numbers and single dashes')
+      .optional(),
+    published: booleanFlag.optional()
+  })
+};
+
+// GET /api/orders/:id/rsvps
+export const getRsvpsSchema = {
+  params: idParams,
+  query: listQuery.extend({
+    attendance: z.enum(Object.values(RSVP_ATTENDANCE)).optional(),
+    q: z.string().optional()
+  })
+};
+
+// GET /api/orders/:id/guests
+export const getGuestsSchema = {
+  params: idParams,
+  query: listQuery.extend({
+    q: z.string().optional()
+  })
+};
+
+// POST /api/orders/:id/guests - a JSON guests array, or a CSV file (field
+// "file") checked by importGuests. Runs after multer, so guests may also be a
+// JSON string form field.
+export const importGuestsSchema = {
+  params: idParams,
+  body: z.object({
+    guests: jsonField(
+      z
+        .array(
+          z.object({
+            name: z.string(),
+            phone: z.union([z.string(), z.number()]).nullish()
+          })
+        )
+        .min(1, 'must not be empty')
+        .max(MAX_GUESTS_PER_IMPORT, `at most ${MAX_GUESTS_PER_IMPORT} guests can be imported at once`)
+    ).optional()
+  })
+};
+
+// DELETE /api/orders/:id/guests/:guestId
+export const guestIdSchema = {
+  params: params('id', 'guestId')
+};
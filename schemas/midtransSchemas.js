@@ -0,0 +1,41 @@
+import { z } from 'zod';
+import {
+  DEFAULT_MIN_PENDING_AGE_MINUTES,
+  DEFAULT_RECONCILE_BATCH_SIZE
+} from '../lib/paymentReconciliation.js';
+import { params, integer } from './common.js';
+
+const MAX_RECONCILE_BATCH_SIZE = 200;
+
+// POST /api/midtrans/notification - only the signed fields are required;
+// everything else is kept as sent, since the raw payload is stored
+export const notificationSchema = {
+  body: z.looseObject({
+    order_id: z.string().min(1),
+    status_code: z.union([z.string().min(1), z.number()]),
+    gross_amount: z.union([z.string().min(1), z.number()]),
+    signature_key: z.string().min(1)
+  })
+};
+
+// GET /api/midtrans/status/:orderId
+export const transactionStatusSchema = {
+  params: params('orderId')
+};
+
+// Options of a payment reconciliation run, sent as the query of the cron
+// route and as the body of the admin route
+const reconcilePaymentsOptions = z.object({
+  minAgeMinutes: z.coerce.number().min(0).default(DEFAULT_MIN_PENDING_AGE_MINUTES),
+  limit: integer(1, MAX_RECONCILE_BATCH_SIZE).default(DEFAULT_RECONCILE_BATCH_SIZE)
+});
+
+// GET /api/cron/reconcile-payments
+export const cronReconcilePaymentsSchema = {
+  query: reconcilePaymentsOptions
+};
+
+// POST /api/admin/payments/reconcile
+export const reconcilePaymentsSchema = {
+  body: reconcilePaymentsOptions
+};
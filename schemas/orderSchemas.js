@@ -0,0 +1,97 @@
+import { z } from 'zod';
+import { ALL_ORDER_STATUSES } from '../lib/orderStatus.js';
+import { EXPORT_FORMATS } from '../lib/orderExport.js';
+import { params, idParams, listQuery, text, integer, imageTarget } from './common.js';
+
+const MAX_REASON_LENGTH = 255;
+
+// A free-form reason recorded in the status history; blank means none
+const optionalReason = z
+  .string()
+  .trim()
+  .max(MAX_REASON_LENGTH)
+  .nullable()
+  .transform(reason => reason || null)
+  .optional();
+
+const orderFilters = listQuery.extend({
+  userId: z.string().min(1).optional(),
+  status: z.enum(ALL_ORDER_STATUSES).optional()
+});
+
+// POST /api/orders/checkout (multipart). addons and weddingInfo may arrive
+// as JSON strings and are checked against the product by the controller.
+export const checkoutSchema = {
+  body: z.object({
+    productId: z.string().min(1),
+    variantId: z.string().optional(),
+    voucherCode: z.string().optional(),
+    addons: z.unknown().optional(),
+    weddingInfo: z.unknown().optional()
+  })
+};
+
+// GET /api/orders and GET /api/admin/orders/deleted
+export const getOrdersSchema = {
+  query: orderFilters
+};
+
+// GET /api/orders/export
+export const exportOrdersSchema = {
+  query: orderFilters.extend({
+    format: z.enum(Object.values(EXPORT_FORMATS)).default(EXPORT_FORMATS.CSV)
+  })
+};
+
+// GET /api/orders/user/:userId
+export const getUserOrdersSchema = {
+  params: params('userId'),
+  query: orderFilters.omit({ userId: true })
+};
+
+// Routes that only take the order :id
+export const orderIdSchema = {
+  params: idParams
+};
+
+// PUT /api/orders/:id
+export const updateOrderSchema = {
+  params: idParams,
+  body: z.object({
+    status: z.enum(ALL_ORDER_STATUSES).optional(),
+    reason: optionalReason,
+    weddingInfo: z.unknown().optional()
+  })
+};
+
+// POST /api/orders/:id/cancel
+export const cancelOrderSchema = {
+  params: idParams,
+  body: z.object({
+    reason: optionalReason
+  })
+};
+
+// POST /api/orders/:id/refund - amount defaults to everything still refundable
+export const refundOrderSchema = {
+  params: idParams,
+  body: z.object({
+    amount: integer(1).optional(),
+    reason: text(MAX_REASON_LENGTH)
+  })
+};
+
+// DELETE /api/orders/:id/images
+export const orderImageSchema = {
+  params: idParams,
+  query: imageTarget,
+  body: imageTarget
+};
+
+// PUT /api/orders/:id/images/order
+export const reorderOrderImagesSchema = {
+  params: idParams,
+  body: z.object({
+    imageUrls: z.array(z.string())
+  })
+};
@@ -0,0 +1,147 @@
+import { z } from 'zod';
+import {
+  params,
+  idParams,
+  listQuery,
+  text,
+  amount,
+  integer,
+  booleanFlag,
+  jsonField,
+  imageTarget
+} from './common.js';
+
+const MAX_OPTION_NAME_LENGTH = 100;
+const MAX_ADDON_DESCRIPTION_LENGTH = 500;
+const MAX_ADDON_QUANTITY = 100;
+
+// Tag names as a list or a JSON string (multipart), stored trimmed and lowercase
+const tagNames = z.preprocess(
+  value => (value === '' ? [] : value),
+  jsonField(
+    z.array(z.string()).transform(names => names.map(name => name.trim().toLowerCase()).filter(Boolean))
+  )
+);
+
+// A list query parameter given as ?tags=a,b or ?tags=a&tags=b
+const queryList = z.union([z.string(), z.array(z.string())]);
+
+// An optional number from a query string; ?minPrice= (empty) is ignored
+const optionalQueryAmount = z.preprocess(value => (value === '' ? undefined : value), amount.optional());
+
+// GET /api/products
+export const getProductsSchema = {
+  query: listQuery
+    .extend({
+      q: z.string().optional(),
+      tag: queryList.optional(),
+      tags: queryList.optional(),
+      tagMode: z.enum(['any', 'all']).default('any'),
+      minPrice: optionalQueryAmount,
+      maxPrice: optionalQueryAmount
+    })
+    .refine(
+      ({ minPrice, maxPrice }) => minPrice === undefined || maxPrice === undefined || minPrice <= maxPrice,
+      { message: 'cannot be greater than maxPrice', path: ['minPrice'] }
+    )
+};
+
+// GET /api/admin/products/deleted
+export const getDeletedProductsSchema = {
+  query: listQuery
+};
+
+// GET /api/products/:id, GET /api/products/:id/form-schema, DELETE
+// /api/products/:id, the variant and add-on listings and the admin
+// restore and purge routes
+export const productIdSchema = {
+  params: idParams
+};
+
+// The product fields of a multipart form. weddingInfoSchema is checked by
+// validateFieldDefinitions, which knows the field types.
+const productFields = z.object({
+  name: z.string().trim().min(1, 'must not be empty'),
+  price: amount,
+  tags: tagNames.optional(),
+  weddingInfoSchema: z.unknown().optional()
+});
+
+// POST /api/products
+export const createProductSchema = {
+  body: productFields
+};
+
+// PUT /api/products/:id - only the given fields change
+export const updateProductSchema = {
+  params: idParams,
+  body: productFields.partial()
+};
+
+// DELETE /api/products/:id/gallery and POST /api/products/:id/gallery/promote
+export const galleryImageSchema = {
+  params: idParams,
+  query: imageTarget,
+  body: imageTarget
+};
+
+// PUT /api/products/:id/gallery/order
+export const reorderGallerySchema = {
+  params: idParams,
+  body: z.object({
+    galleryUrls: z.array(z.string())
+  })
+};
+
+// Fields shared by variants and add-ons
+const optionFields = z.object({
+  name: text(MAX_OPTION_NAME_LENGTH),
+  price: amount,
+  sortOrder: integer(Number.MIN_SAFE_INTEGER).optional(),
+  active: booleanFlag.optional()
+});
+
+const addonFields = optionFields.extend({
+  description: z
+    .string()
+    .trim()
+    .max(MAX_ADDON_DESCRIPTION_LENGTH)
+    .nullable()
+    .transform(description => description || null)
+    .optional(),
+  maxQuantity: integer(1, MAX_ADDON_QUANTITY).optional()
+});
+
+// POST /api/products/:id/variants
+export const createVariantSchema = {
+  params: idParams,
+  body: optionFields
+};
+
+// PUT /api/products/:id/variants/:variantId
+export const updateVariantSchema = {
+  params: params('id', 'variantId'),
+  body: optionFields.partial()
+};
+
+// DELETE /api/products/:id/variants/:variantId
+export const variantIdSchema = {
+  params: params('id', 'variantId')
+};
+
+// POST /api/products/:id/addons
+export const createAddonSchema = {
+  params: idParams,
+  body: addonFields
+};
+
+// PUT /api/products/:id/addons/:addonId
+export const updateAddonSchema = {
+  params: params('id', 'addonId'),
+  body: addonFields.partial()
+};
+
+// DELETE /api/products/:id/addons/:addonId
+export const addonIdSchema = {
+  params: params('id', 'addonId')
+};
@@ -0,0 +1,30 @@
+import { z } from 'zod';
+import { idParams } from './common.js';
+
+const MAX_TAG_LENGTH = 50;
+
+// Tag names are stored trimmed and lowercase
+const tagName = z.string().trim().toLowerCase().min(1, 'must not be empty').max(MAX_TAG_LENGTH);
+
+// POST /api/tags - "Rustic, Modern" becomes ['rustic', 'modern']
+export const createTagsSchema = {
+  body: z.object({
+    tags: z
+      .string()
+      .transform(tags => [...new Set(tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))])
+      .pipe(z.array(z.string().max(MAX_TAG_LENGTH)).min(1, 'must contain at least one tag'))
+  })
+};
+
+// GET /api/tags/:id and DELETE /api/tags/:id
+export const tagIdSchema = {
+  params: idParams
+};
+
+// PUT /api/tags/:id
+export const updateTagSchema = {
+  params: idParams,
+  body: z.object({
+    name: tagName
+  })
+};
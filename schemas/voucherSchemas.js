@@ -0,0 +1,78 @@
+import { z } from 'zod';
+import { VOUCHER_TYPES, normalizeVoucherCode } from '../lib/vouchers.js';
+import { idParams, listQuery, booleanFlag, nullableDate } from './common.js';
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// An optional number; null and "" clear it
+const nullableNumber = (schema) =>
+  z.preprocess(value => (value === '' ? null : value), schema.nullable());
+
+// Fields of a voucher. Checks that depend on other fields or on the stored
+// voucher (percentage values, the validity window, restrictions that must
+// exist) are left to the controller.
+const voucherFields = z.object({
+  code: z
+    .string()
+    .transform(normalizeVoucherCode)
+    .pipe(z.string().regex(CODE_PATTERN, 'must be 3-32 letters, numbers, - or _')),
+  description: z
+    .string()
+    .trim()
+    .max(MAX_DESCRIPTION_LENGTH)
+    .nullable()
+    .transform(description => description || null)
+    .optional(),
+  type: z.enum(Object.values(VOUCHER_TYPES)),
+  value: z.coerce.number().positive(),
+  maxDiscount: nullableNumber(z.coerce.number().min(1)).optional(),
+  minAmount: nullableNumber(z.coerce.number().min(0)).optional(),
+  usageLimit: nullableNumber(z.coerce.number().int().min(1)).optional(),
+  perUserLimit: nullableNumber(z.coerce.number().int().min(1)).optional(),
+  startsAt: nullableDate.optional(),
+  endsAt: nullableDate.optional(),
+  active: booleanFlag.optional(),
+  productIds: z
+    .array(z.string().min(1))
+    .transform(ids => [...new Set(ids)])
+    .optional(),
+  tags: z
+    .array(z.string())
+    .transform(names => [...new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean))])
+    .optional()
+});
+
+// GET /api/vouchers
+export const getVouchersSchema = {
+  query: listQuery.extend({
+    q: z.string().optional(),
+    active: booleanFlag.optional()
+  })
+};
+
+// GET /api/vouchers/:id and DELETE /api/vouchers/:id
+export const voucherIdSchema = {
+  params: idParams
+};
+
+// POST /api/vouchers
+export const createVoucherSchema = {
+  body: voucherFields
+};
+
+// PUT /api/vouchers/:id - only the given fields change
+export const updateVoucherSchema = {
+  params: idParams,
+  body: voucherFields.partial()
+};
+
+// POST /api/vouchers/validate - addons are checked by parseAddonSelection
+export const validateVoucherSchema = {
+  body: z.object({
+    code: z.string().trim().min(1),
+    productId: z.string().min(1),
+    variantId: z.string().min(1).optional(),
+    addons: z.unknown().optional()
+  })
+};
@@ -0,0 +1,40 @@
+// Check orders still awaiting payment against Midtrans, apply their status
+// and cancel the ones whose payment window expired.
+//
+// Usage: npm run payments:reconcile -- [--min-age=<minutes>] [--limit=<n>]
+//   --min-age=<min>  ignore orders younger than this many minutes
+//   --limit=<n>      check at most this many orders, oldest first
+import prisma from '../lib/prisma.js';
+import {
+  reconcilePayments,
+  DEFAULT_MIN_PENDING_AGE_MINUTES,
+  DEFAULT_RECONCILE_BATCH_SIZE
+} from '../lib/paymentReconciliation.js';
+
+const args = process.argv.slice(2);
+const readArg = (name, fallback) => {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? Number(arg.split('=')[1]) : fallback;
+};
+
+const minAgeMinutes = readArg('min-age', DEFAULT_MIN_PENDING_AGE_MINUTES);
+const limit = readArg('limit', DEFAULT_RECONCILE_BATCH_SIZE);
+
+if (!Number.isFinite(minAgeMinutes) || minAgeMinutes < 0) {
+  console.error('--min-age must be a number of minutes, 0 or more');
+  process.exit(1);
+}
+if (!Number.isInteger(limit) || limit < 1) {
+  console.error('--limit must be a whole number of at least 1');
+  process.exit(1);
+}
+
+try {
+  const report = await reconcilePayments({ minAgeMinutes, limit });
+  console.log(JSON.stringify(report, null, 2));
+} catch (error) {
+  console.error('Error reconciling payments:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,28 @@
+// Compare storage buckets with the database and report orphaned files and
+// dangling URLs.
+//
+// Usage: npm run storage:reconcile -- [--apply] [--min-age=<minutes>]
+//   --apply          delete the orphaned files (default: dry run)
+//   --min-age=<min>  ignore files younger than this many minutes
+import prisma from '../lib/prisma.js';
+import { reconcileStorage, DEFAULT_MIN_ORPHAN_AGE_MINUTES } from '../lib/storageReconciliation.js';
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const minAgeArg = args.find(arg => arg.startsWith('--min-age='));
+const minAgeMinutes = minAgeArg ? Number(minAgeArg.split('=')[1]) : DEFAULT_MIN_ORPHAN_AGE_MINUTES;
+
+if (!Number.isFinite(minAgeMinutes) || minAgeMinutes < 0) {
+  console.error('--min-age must be a number of minutes, 0 or more');
+  process.exit(1);
+}
+
+try {
+  const report = await reconcileStorage({ apply, minAgeMinutes });
+  console.log(JSON.stringify(report, null, 2));
+} catch (error) {
+  console.error('Error reconciling storage:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
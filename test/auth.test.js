@@ -0,0 +1,135 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { SignJWT } from "jose";
+
+const SECRET = "test-secret-that-is-long-enough-for-hs256";
+
+// lib/config.js reads the auth settings once, on import
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+process.env.AUTH_JWT_SECRET = SECRET;
+process.env.AUTH_JWT_ISSUER = "https://auth.weinvite.example";
+process.env.AUTH_JWT_AUDIENCE = "we-invite-api";
+
+// Users known to the stubbed database, by ID
+let users;
+globalThis.prisma = {
+  user: {
+    findUnique: async ({ where }) => users[where.id] || null,
+    upsert: async ({ where, create }) => users[where.id] || create,
+  },
+};
+
+const { verifyAccessToken, isTokenError } = await import("../lib/auth.js");
+const { authenticate, authorize } = await import("../middleware/auth.js");
+const { syncUser } = await import("../controllers/authController.js");
+
+// Sign a token the way the identity provider does
+const signToken = ({
+  sub = "user-1",
+  claims = { name: "Rina", email: "rina@example.com" },
+  secret = SECRET,
+  issuer = "https://auth.weinvite.example",
+  audience = "we-invite-api",
+  expiresIn = "5m",
+} = {}) => {
+  const jwt = new SignJWT(claims).setProtectedHeader({ alg: "HS256" }).setIssuedAt().setExpirationTime(expiresIn);
+  if (sub) jwt.setSubject(sub);
+  if (issuer) jwt.setIssuer(issuer);
+  if (audience) jwt.setAudience(audience);
+  return jwt.sign(new TextEncoder().encode(secret));
+};
+
+// Run the authenticate middleware and return req, or the error it threw
+const runAuthenticate = async (authorization) => {
+  const req = { headers: authorization ? { authorization } : {} };
+  try {
+    await authenticate(req, {}, () => {});
+    return req;
+  } catch (error) {
+    return error;
+  }
+};
+
+beforeEach(() => {
+  users = { "admin-1": { role: "admin" } };
+});
+
+describe("verifyAccessToken", () => {
+  it("returns the claims of a valid token", async () => {
+    const claims = await verifyAccessToken(await signToken());
+
+    assert.equal(claims.sub, "user-1");
+    assert.equal(claims.email, "rina@example.com");
+  });
+
+  it("rejects tokens signed with another key", async () => {
+    await assert.rejects(verifyAccessToken(await signToken({ secret: "another-secret-that-is-long-enough" })), isTokenError);
+  });
+
+  it("rejects expired tokens", async () => {
+    await assert.rejects(verifyAccessToken(await signToken({ expiresIn: "-1m" })), isTokenError);
+  });
+
+  it("rejects tokens for another issuer or audience", async () => {
+    await assert.rejects(verifyAccessToken(await signToken({ issuer: "https://evil.example" })), isTokenError);
+    await assert.rejects(verifyAccessToken(await signToken({ audience: "another-api" })), isTokenError);
+  });
+
+  it("rejects tokens without a subject", async () => {
+    await assert.rejects(verifyAccessToken(await signToken({ sub: null })), isTokenError);
+  });
+
+  it("rejects unsigned tokens", async () => {
+    const [, payload] = (await signToken()).split(".");
+    const unsigned = `${Buffer.from('{"alg":"none"}').toString("base64url")}.${payload}.`;
+
+    await assert.rejects(verifyAccessToken(unsigned), isTokenError);
+  });
+});
+
+describe("authenticate", () => {
+  it("attaches the caller with their role from the database", async () => {
+    const customer = await runAuthenticate(`Bearer ${await signToken()}`);
+    assert.equal(customer.user.id, "user-1");
+    assert.equal(customer.user.role, "customer");
+
+    const admin = await runAuthenticate(`Bearer ${await signToken({ sub: "admin-1" })}`);
+    assert.equal(admin.user.role, "admin");
+  });
+
+  it("ignores roles claimed in the token", async () => {
+    const req = await runAuthenticate(`Bearer ${await signToken({ claims: { role: "admin" } })}`);
+    assert.equal(req.user.role, "customer");
+  });
+
+  it("answers 401 without a valid bearer token", async () => {
+    assert.equal((await runAuthenticate()).status, 401);
+    assert.equal((await runAuthenticate(`Basic ${await signToken()}`)).status, 401);
+    assert.equal((await runAuthenticate("Bearer not-a-jwt")).status, 401);
+  });
+});
+
+describe("authorize", () => {
+  it("only lets the given roles through", () => {
+    let passed = false;
+    authorize("admin")({ user: { role: "admin" } }, {}, () => {
+      passed = true;
+    });
+    assert.equal(passed, true);
+
+    assert.throws(() => authorize("admin")({ user: { role: "customer" } }, {}, () => {}), { status: 403 });
+  });
+});
+
+describe("syncUser", () => {
+  it("creates the user from the verified token, not the request body", async () => {
+    const req = await runAuthenticate(`Bearer ${await signToken()}`);
+    req.body = { id: "admin-1", email: "admin@example.com", locale: "en" };
+
+    let body;
+    await syncUser(req, { json: (value) => (body = value) });
+
+    assert.deepEqual(body, { role: "customer", email: "rina@example.com", locale: "en" });
+  });
+});
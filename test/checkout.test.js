@@ -0,0 +1,136 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// Uploads go to a temporary directory through the local storage driver
+const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), "checkout-test-"));
+
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+process.env.STORAGE_DRIVER = "local";
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+// An in-memory stand-in for the tables checkout touches
+let db;
+const orders = {
+  create: async ({ data }) => {
+    db.orders.set(data.id, { ...data });
+    return data;
+  },
+  update: async ({ where, data }) => {
+    if (db.failOrderUpdate) throw new Error("Connection lost");
+    const order = { ...db.orders.get(where.id), ...data };
+    db.orders.set(where.id, order);
+    return order;
+  },
+  delete: async ({ where }) => db.orders.delete(where.id),
+  // Notifications look the order up; without a user they send nothing
+  findUnique: async () => null,
+};
+globalThis.prisma = {
+  user: {
+    findUnique: async ({ where }) => (where.id === "user-1" ? { id: "user-1", name: "Rina" } : null),
+  },
+  product: {
+    findUnique: async () => ({
+      id: "product-1",
+      name: "Rustic Floral",
+      price: 150000,
+      weddingInfoSchema: null,
+      tags: [],
+      variants: [],
+      addons: [],
+    }),
+  },
+  order: orders,
+  $transaction: async (callback) => callback({ order: orders }),
+};
+
+const { setSnapClient } = await import("../lib/midtrans.js");
+const { checkout } = await import("../controllers/checkoutController.js");
+
+// Snap client that records the transactions created, or fails to create them
+let snapRequests;
+let snapError;
+setSnapClient({
+  createTransaction: async (parameters) => {
+    if (snapError) throw snapError;
+    snapRequests.push(parameters);
+    return { token: "snap-token", redirect_url: "https://app.sandbox.midtrans.com/snap/v4/redirection/snap-token" };
+  },
+});
+
+const runCheckout = async () => {
+  const req = {
+    user: { id: "user-1" },
+    body: { productId: "product-1", weddingInfo: '{"groomName":"Budi","brideName":"Rina"}' },
+    files: [{ originalname: "couple.jpg", mimetype: "image/jpeg", buffer: Buffer.from("jpeg") }],
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await checkout(req, res);
+  return res;
+};
+
+// Files left in the order images bucket
+const listUploads = async () =>
+  (await fs.readdir(storageDir, { recursive: true, withFileTypes: true })).filter((entry) => entry.isFile());
+
+describe("checkout", () => {
+  beforeEach(async () => {
+    db = { orders: new Map(), failOrderUpdate: false };
+    snapRequests = [];
+    snapError = null;
+    await fs.rm(storageDir, { recursive: true, force: true });
+    await fs.mkdir(storageDir);
+  });
+
+  after(() => fs.rm(storageDir, { recursive: true, force: true }));
+
+  it("creates the order with its Snap transaction", async () => {
+    const res = await runCheckout();
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.transaction.token, "snap-token");
+    assert.equal(snapRequests.length, 1);
+    assert.equal(snapRequests[0].transaction_details.order_id, res.body.order.id);
+    assert.equal(snapRequests[0].transaction_details.gross_amount, 150000);
+
+    const order = db.orders.get(res.body.order.id);
+    assert.equal(order.status, "pending_payment");
+    assert.equal(order.snapToken, "snap-token");
+    assert.ok(order.paymentExpiresAt instanceof Date);
+    assert.equal((await listUploads()).length, 1);
+  });
+
+  it("rolls back the order and its images when Snap fails", async () => {
+    snapError = new Error("Midtrans is down");
+
+    await assert.rejects(runCheckout(), snapError);
+
+    assert.equal(db.orders.size, 0);
+    assert.equal((await listUploads()).length, 0);
+  });
+
+  it("keeps the order once its Snap transaction exists", async () => {
+    db.failOrderUpdate = true;
+
+    await assert.rejects(runCheckout(), /Connection lost/);
+
+    assert.equal(snapRequests.length, 1);
+    const [order] = db.orders.values();
+    assert.equal(order.id, snapRequests[0].transaction_details.order_id);
+    assert.equal(order.status, "pending_payment");
+    assert.equal((await listUploads()).length, 1);
+  });
+});
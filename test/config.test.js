@@ -0,0 +1,162 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// lib/config.js loads process.env on import; keep that load independent of
+// the shell running the tests
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+
+const { loadConfig } = await import("../lib/config.js");
+
+const PRODUCTION_ENV = {
+  NODE_ENV: "production",
+  DATABASE_URL: "postgresql://localhost/we_invite",
+  APP_URL: "https://weinvite.example/",
+  MIDTRANS_IS_PRODUCTION: "true",
+  MIDTRANS_SERVER_KEY: "Mid-server-live",
+  CRON_SECRET: "cron-secret",
+  AUTH_JWKS_URL: "https://auth.example/.well-known/jwks.json",
+  SUPABASE_URL: "https://project.supabase.co",
+  SUPABASE_SERVICE_ROLE_KEY: "service-role-key",
+};
+
+// Run loadConfig and return the problems it reported, one per line
+const getProblems = (source) => {
+  try {
+    loadConfig(source);
+  } catch (error) {
+    return error.message.split("\n").slice(1).map((line) => line.replace(/^\s*- /, ""));
+  }
+  return [];
+};
+
+describe("loadConfig", () => {
+  it("uses the development defaults", () => {
+    const config = loadConfig({});
+
+    assert.equal(config.env, "development");
+    assert.equal(config.isProduction, false);
+    assert.equal(config.port, 3000);
+    assert.deepEqual(config.cors.origins, ["http://localhost:5173"]);
+    assert.equal(config.invitation.baseUrl, "http://localhost:5173/undangan");
+    assert.equal(config.midtrans.isProduction, false);
+    assert.equal(config.midtrans.callbacks.finish, "http://localhost:5173");
+    assert.equal(config.midtrans.paymentExpiryMinutes, 24 * 60);
+    assert.equal(config.storage.driver, "supabase");
+    assert.deepEqual(config.storage.buckets, { products: "products", orderImages: "order-images" });
+    assert.equal(config.uploads.maxImageBytes, 5 * 1024 * 1024);
+    assert.equal(config.uploads.maxGuestListBytes, 1024 * 1024);
+    assert.equal(config.mail.smtp, null);
+  });
+
+  it("stores uploads locally in tests", () => {
+    assert.equal(loadConfig({ NODE_ENV: "test" }).storage.driver, "local");
+  });
+
+  it("treats empty variables as unset", () => {
+    const config = loadConfig({ PORT: "", PRODUCTS_BUCKET: "", CORS_ORIGINS: "" });
+
+    assert.equal(config.port, 3000);
+    assert.equal(config.storage.buckets.products, "products");
+    assert.deepEqual(config.cors.origins, ["http://localhost:5173"]);
+  });
+
+  it("parses lists, numbers and flags", () => {
+    const config = loadConfig({
+      PORT: "8080",
+      CORS_ORIGINS: "https://a.example/, https://b.example",
+      UPLOAD_MAX_IMAGE_MB: "2.5",
+      MAX_GALLERY_IMAGES: "8",
+      AUTH_JWT_ALGORITHMS: "RS256, ES256",
+      AUTH_JWT_PUBLIC_KEY: "-----BEGIN PUBLIC KEY-----\\nabc\\n-----END PUBLIC KEY-----",
+      SMTP_HOST: "smtp.example",
+      SMTP_PORT: "465",
+      SMTP_TIMEOUT_SECONDS: "5",
+    });
+
+    assert.equal(config.port, 8080);
+    assert.deepEqual(config.cors.origins, ["https://a.example", "https://b.example"]);
+    assert.equal(config.uploads.maxImageBytes, Math.round(2.5 * 1024 * 1024));
+    assert.equal(config.uploads.maxGalleryImages, 8);
+    assert.deepEqual(config.auth.algorithms, ["RS256", "ES256"]);
+    assert.equal(config.auth.publicKey, "-----BEGIN PUBLIC KEY-----\nabc\n-----END PUBLIC KEY-----");
+    assert.deepEqual(config.mail.smtp, {
+      host: "smtp.example",
+      port: 465,
+      secure: true,
+      auth: undefined,
+      connectionTimeout: 5000,
+      greetingTimeout: 5000,
+      socketTimeout: 5000,
+    });
+  });
+
+  it("returns frozen settings", () => {
+    const config = loadConfig({});
+
+    assert.ok(Object.isFrozen(config));
+    assert.ok(Object.isFrozen(config.storage.buckets));
+    assert.throws(() => {
+      config.storage.buckets.products = "other";
+    }, TypeError);
+  });
+
+  it("accepts a complete production environment", () => {
+    const config = loadConfig(PRODUCTION_ENV);
+
+    assert.equal(config.isProduction, true);
+    assert.deepEqual(config.cors.origins, ["https://weinvite.example"]);
+    assert.equal(config.midtrans.callbacks.pending, "https://weinvite.example");
+  });
+
+  it("reports every missing production setting at once", () => {
+    const problems = getProblems({ NODE_ENV: "production" });
+
+    assert.ok(problems.includes("DATABASE_URL: is required in production"));
+    assert.ok(problems.includes("MIDTRANS_SERVER_KEY: is required in production"));
+    assert.ok(problems.includes("CRON_SECRET: is required in production"));
+    assert.ok(problems.some((problem) => problem.startsWith("APP_URL:")));
+    assert.ok(problems.some((problem) => problem.startsWith("AUTH_*:")));
+    assert.ok(problems.includes("SUPABASE_URL: is required with STORAGE_DRIVER=supabase"));
+  });
+
+  it("requires a public URL for local storage in production", () => {
+    const problems = getProblems({ ...PRODUCTION_ENV, STORAGE_DRIVER: "local" });
+
+    assert.deepEqual(problems, [
+      "PUBLIC_BASE_URL: is required with STORAGE_DRIVER=local (the public URL of this API)",
+    ]);
+  });
+
+  it("rejects a Midtrans key for the wrong mode", () => {
+    assert.deepEqual(getProblems({ MIDTRANS_SERVER_KEY: "Mid-server-live" }), [
+      "MIDTRANS_SERVER_KEY: is a production key but MIDTRANS_IS_PRODUCTION is false",
+    ]);
+    assert.deepEqual(getProblems({ MIDTRANS_SERVER_KEY: "SB-Mid-server", MIDTRANS_IS_PRODUCTION: "true" }), [
+      "MIDTRANS_SERVER_KEY: is a sandbox key but MIDTRANS_IS_PRODUCTION is true",
+    ]);
+  });
+
+  it("rejects invalid values", () => {
+    const problems = getProblems({
+      PORT: "abc",
+      CORS_ORIGINS: "ftp://files.example",
+      STORAGE_DRIVER: "s3",
+      MIDTRANS_IS_PRODUCTION: "yes",
+      AUTH_JWKS: "{",
+      SMTP_USER: "mailer",
+    });
+
+    assert.deepEqual(problems, [
+      "PORT: must be a number",
+      "CORS_ORIGINS.0: must be an http(s) URL",
+      "MIDTRANS_IS_PRODUCTION: must be true or false",
+      'STORAGE_DRIVER: Invalid option: expected one of "supabase"|"local"',
+      "AUTH_JWKS: must be valid JSON",
+    ]);
+  });
+
+  it("requires SMTP_PASS with SMTP_USER", () => {
+    assert.deepEqual(getProblems({ SMTP_USER: "mailer" }), ["SMTP_PASS: is required with SMTP_USER"]);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+const SERVER_KEY = "SB-Mid-server-test";
+
+// lib/config.js reads the server key once, on import
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+process.env.MIDTRANS_SERVER_KEY = SERVER_KEY;
+
+const { verifyNotificationSignature, rankTransactionStatus, mapTransactionStatus } = await import(
+  "../lib/midtrans.js"
+);
+
+// A notification signed the way Midtrans signs it
+const signedNotification = (fields = {}) => {
+  const notification = {
+    order_id: "order-1",
+    status_code: "200",
+    gross_amount: "150000.00",
+    transaction_status: "settlement",
+    ...fields,
+  };
+  notification.signature_key = crypto
+    .createHash("sha512")
+    .update(`${notification.order_id}${notification.status_code}${notification.gross_amount}${SERVER_KEY}`)
+    .digest("hex");
+  return notification;
+};
+
+describe("verifyNotificationSignature", () => {
+  it("accepts a correctly signed notification", () => {
+    assert.equal(verifyNotificationSignature(signedNotification()), true);
+  });
+
+  it("rejects a notification whose amount was changed", () => {
+    const notification = { ...signedNotification(), gross_amount: "1.00" };
+    assert.equal(verifyNotificationSignature(notification), false);
+  });
+
+  it("rejects a signature made with another key", () => {
+    const notification = signedNotification();
+    notification.signature_key = crypto
+      .createHash("sha512")
+      .update(`order-1200150000.00SB-Mid-server-other`)
+      .digest("hex");
+    assert.equal(verifyNotificationSignature(notification), false);
+  });
+
+  it("rejects notifications with missing fields", () => {
+    assert.equal(verifyNotificationSignature(undefined), false);
+    assert.equal(verifyNotificationSignature({ ...signedNotification(), signature_key: undefined }), false);
+    assert.equal(verifyNotificationSignature({ ...signedNotification(), status_code: "" }), false);
+    assert.equal(verifyNotificationSignature({ ...signedNotification(), signature_key: "abc" }), false);
+  });
+});
+
+describe("rankTransactionStatus", () => {
+  it("ranks failures below a completed payment", () => {
+    for (const failure of ["deny", "cancel", "expire", "failure"]) {
+      assert.ok(rankTransactionStatus(failure) > rankTransactionStatus("pending"));
+      assert.ok(rankTransactionStatus(failure) < rankTransactionStatus("capture", "accept"));
+      assert.ok(rankTransactionStatus(failure) < rankTransactionStatus("settlement"));
+    }
+  });
+
+  it("only lets refunds and chargebacks follow a settlement", () => {
+    for (const status of ["partial_refund", "partial_chargeback", "refund", "chargeback"]) {
+      assert.ok(rankTransactionStatus(status) > rankTransactionStatus("settlement"));
+    }
+  });
+
+  it("ranks a capture the fraud check has not accepted like an authorization", () => {
+    assert.equal(rankTransactionStatus("capture", "challenge"), rankTransactionStatus("authorize"));
+    assert.ok(rankTransactionStatus("deny") > rankTransactionStatus("capture", "challenge"));
+  });
+
+  it("ranks unknown statuses lowest", () => {
+    assert.equal(rankTransactionStatus("something_new"), 0);
+  });
+});
+
+describe("mapTransactionStatus", () => {
+  it("maps Midtrans statuses to order statuses", () => {
+    assert.equal(mapTransactionStatus("settlement"), "paid");
+    assert.equal(mapTransactionStatus("capture", "accept"), "paid");
+    assert.equal(mapTransactionStatus("capture", "challenge"), "pending_payment");
+    assert.equal(mapTransactionStatus("pending"), "pending_payment");
+    assert.equal(mapTransactionStatus("expire"), "cancelled");
+    assert.equal(mapTransactionStatus("deny"), "cancelled");
+    assert.equal(mapTransactionStatus("refund"), "refunded");
+    assert.equal(mapTransactionStatus("partial_refund"), null);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// lib/config.js reads the mail settings once, on import
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+process.env.SMTP_HOST = "smtp.example";
+process.env.SMTP_TIMEOUT_SECONDS = "3";
+process.env.MAIL_FROM = "We Invite <hello@weinvite.example>";
+
+// An in-memory stand-in for the order tables, holding a single order
+let db;
+const tx = {
+  order: {
+    findUnique: async ({ include }) => (include ? { ...db.order, user: db.user, product: db.product } : { ...db.order }),
+    update: async ({ data }) => {
+      db.order = { ...db.order, ...data };
+      return { ...db.order };
+    },
+    findMany: async () => [{ ...db.order }],
+    count: async () => 1,
+  },
+  orderStatusHistory: {
+    create: async ({ data }) => data,
+  },
+};
+globalThis.prisma = { ...tx, $transaction: async (callback) => callback(tx) };
+
+const { getMailTransport, setMailTransport, sendMail } = await import("../lib/mailer.js");
+const { getStatusChangeTemplate, notifyOrderCreated, notifyOrderStatusChange } = await import("../lib/notifications.js");
+const { EMAIL_TEMPLATES } = await import("../lib/emailTemplates.js");
+const { setSnapClient } = await import("../lib/midtrans.js");
+const { reconcilePayments } = await import("../lib/paymentReconciliation.js");
+
+// Mail transport recording what was sent, failing with sendError when set
+let sent;
+let sendError;
+const stubTransport = {
+  sendMail: async (message) => {
+    if (sendError) throw sendError;
+    sent.push(message);
+  },
+};
+
+beforeEach(() => {
+  db = {
+    order: {
+      id: "order-1",
+      status: "pending_payment",
+      amount: 150000,
+      slug: null,
+      published: false,
+      snapRedirectUrl: "https://app.sandbox.midtrans.com/snap/v4/redirection/snap-token",
+      createdAt: new Date("2025-01-01T00:00:00Z"),
+      paymentExpiresAt: new Date("2025-01-02T00:00:00Z"),
+    },
+    user: { name: "Rina", email: "rina@example.com", locale: "en" },
+    product: { name: "Rustic Floral" },
+  };
+  sent = [];
+  sendError = null;
+  setMailTransport(stubTransport);
+});
+
+describe("getMailTransport", () => {
+  it("gives up on an unresponsive SMTP server", () => {
+    setMailTransport(null);
+    const { options } = getMailTransport();
+
+    assert.equal(options.host, "smtp.example");
+    assert.equal(options.connectionTimeout, 3000);
+    assert.equal(options.greetingTimeout, 3000);
+    assert.equal(options.socketTimeout, 3000);
+  });
+});
+
+describe("sendMail", () => {
+  it("sends from MAIL_FROM", async () => {
+    assert.equal(await sendMail({ to: "rina@example.com", subject: "Hi", text: "Hi", html: "<p>Hi</p>" }), true);
+    assert.equal(sent[0].from, "We Invite <hello@weinvite.example>");
+  });
+});
+
+describe("getStatusChangeTemplate", () => {
+  it("only emails the changes customers are told about", () => {
+    assert.equal(getStatusChangeTemplate("pending_payment", "paid"), EMAIL_TEMPLATES.PAYMENT_RECEIVED);
+    assert.equal(getStatusChangeTemplate("pending_payment", "cancelled"), EMAIL_TEMPLATES.PAYMENT_FAILED);
+    assert.equal(getStatusChangeTemplate("in_design", "revision"), EMAIL_TEMPLATES.DESIGN_READY);
+    assert.equal(getStatusChangeTemplate("revision", "completed"), EMAIL_TEMPLATES.ORDER_COMPLETED);
+    assert.equal(getStatusChangeTemplate("paid", "in_design"), null);
+    assert.equal(getStatusChangeTemplate("paid", "cancelled"), null);
+    assert.equal(getStatusChangeTemplate("paid", "paid"), null);
+  });
+});
+
+describe("notifications", () => {
+  it("emails the customer in their language", async () => {
+    assert.equal(await notifyOrderCreated("order-1"), true);
+
+    assert.equal(sent[0].to, "rina@example.com");
+    assert.equal(sent[0].subject, "Your Rustic Floral order has been placed");
+    assert.match(sent[0].html, /snap-token/);
+  });
+
+  it("skips status changes without an email and customers without an address", async () => {
+    assert.equal(await notifyOrderStatusChange("order-1", "paid", "in_design"), false);
+
+    db.user.email = null;
+    assert.equal(await notifyOrderStatusChange("order-1", "pending_payment", "paid"), false);
+    assert.deepEqual(sent, []);
+  });
+
+  it("never rejects when the email cannot be sent", async () => {
+    sendError = new Error("Connection timeout");
+
+    assert.equal(await notifyOrderStatusChange("order-1", "pending_payment", "paid"), false);
+  });
+
+  it("does not hold up payment reconciliation", async () => {
+    setSnapClient({
+      transaction: {
+        status: async () => {
+          throw Object.assign(new Error("Transaction doesn't exist"), { httpStatusCode: 404 });
+        },
+      },
+    });
+    // A mail server that never answers
+    setMailTransport({ sendMail: () => new Promise(() => {}) });
+
+    const report = await reconcilePayments({ now: new Date("2025-01-03T00:00:00Z") });
+
+    assert.equal(report.totals.expired, 1);
+    assert.equal(db.order.status, "cancelled");
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import ExcelJS from "exceljs";
+
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+
+// Rows are built here directly, so the database is never queried
+globalThis.prisma = {};
+
+const { escapeCell, toExportRow, writeOrdersCsv, writeOrdersXlsx } = await import("../lib/orderExport.js");
+
+const order = {
+  id: "order-1",
+  createdAt: new Date("2025-11-06T11:30:00Z"),
+  user: { name: "=HYPERLINK(\"https://evil.example\")", email: "rina@example.com" },
+  product: { name: "Rustic Floral" },
+  voucherRedemption: null,
+  amount: 149999.6,
+  amountPaid: 150000,
+  status: "paid",
+  paidAt: new Date("2025-11-06T11:45:00Z"),
+  deletedAt: null,
+  weddingInfo: { groomName: "-Budi", brideName: "Rina" },
+};
+
+// Run a writer over the given rows and return everything it wrote
+const write = async (writer, rows) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  await writer(rows, output);
+  return Buffer.concat(chunks);
+};
+
+describe("escapeCell", () => {
+  it("escapes strings a spreadsheet would run as a formula", () => {
+    assert.equal(escapeCell("=1+1"), "'=1+1");
+    assert.equal(escapeCell("@SUM(A1)"), "'@SUM(A1)");
+    assert.equal(escapeCell("Budi"), "Budi");
+    assert.equal(escapeCell(-5000), -5000);
+    assert.equal(escapeCell(null), null);
+  });
+});
+
+describe("toExportRow", () => {
+  it("flattens the order without changing its values", () => {
+    const row = toExportRow(order, 50000);
+
+    assert.equal(row.customerName, "=HYPERLINK(\"https://evil.example\")");
+    assert.equal(row.groomName, "-Budi");
+    assert.equal(row.akadDate, null);
+    assert.equal(row.amount, 150000);
+    assert.equal(row.refunded, 50000);
+    assert.equal(row.paidAt, order.paidAt);
+  });
+});
+
+describe("writeOrdersCsv", () => {
+  it("escapes formulas in CSV cells", async () => {
+    const csv = (await write(writeOrdersCsv, [toExportRow(order, 0)])).toString();
+    const [header, line] = csv.trim().split("\n");
+
+    assert.match(header, /^Order ID,Ordered at,Customer,/);
+    assert.match(line, /^order-1,2025-11-06T11:30:00.000Z,"'=HYPERLINK\(""https:\/\/evil.example""\)",/);
+    assert.match(line, /,'-Budi,Rina,/);
+  });
+});
+
+describe("writeOrdersXlsx", () => {
+  it("writes the values unchanged as text and dates", async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await write(writeOrdersXlsx, [toExportRow(order, 0)]));
+    const row = workbook.getWorksheet("Orders").getRow(2);
+
+    assert.equal(row.getCell(3).value, "=HYPERLINK(\"https://evil.example\")");
+    assert.equal(row.getCell(13).value, "-Budi");
+    assert.deepEqual(row.getCell(2).value, order.createdAt);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ORDER_STATUS,
+  ALL_ORDER_STATUSES,
+  STATUS_ACTORS,
+  InvalidStatusTransitionError,
+  canTransition,
+  getAllowedTransitions,
+  transitionOrderStatus,
+} from "../lib/orderStatus.js";
+
+// A transaction client that records what transitionOrderStatus writes
+const createTx = () => {
+  const tx = {
+    updates: [],
+    history: [],
+    order: {
+      // Every generated slug is free
+      findUnique: async () => null,
+      update: async ({ where, data }) => {
+        tx.updates.push({ where, data });
+        return { id: where.id, ...data };
+      },
+    },
+    orderStatusHistory: {
+      create: async ({ data }) => {
+        tx.history.push(data);
+        return data;
+      },
+    },
+  };
+  return tx;
+};
+
+const pendingOrder = {
+  id: "order-1",
+  status: ORDER_STATUS.PENDING_PAYMENT,
+  slug: null,
+  paidAt: null,
+  amount: 149999.6,
+  weddingInfo: { groomName: "Budi", brideName: "Rina" },
+};
+
+describe("canTransition", () => {
+  it("follows the order lifecycle", () => {
+    assert.equal(canTransition(ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.PAID), true);
+    assert.equal(canTransition(ORDER_STATUS.PAID, ORDER_STATUS.IN_DESIGN), true);
+    assert.equal(canTransition(ORDER_STATUS.IN_DESIGN, ORDER_STATUS.REVISION), true);
+    assert.equal(canTransition(ORDER_STATUS.REVISION, ORDER_STATUS.IN_DESIGN), true);
+    assert.equal(canTransition(ORDER_STATUS.REVISION, ORDER_STATUS.COMPLETED), true);
+    assert.equal(canTransition(ORDER_STATUS.COMPLETED, ORDER_STATUS.REFUNDED), true);
+  });
+
+  it("never moves an order backwards", () => {
+    assert.equal(canTransition(ORDER_STATUS.PAID, ORDER_STATUS.PENDING_PAYMENT), false);
+    assert.equal(canTransition(ORDER_STATUS.COMPLETED, ORDER_STATUS.IN_DESIGN), false);
+    assert.equal(canTransition(ORDER_STATUS.CANCELLED, ORDER_STATUS.PAID), false);
+    assert.equal(canTransition(ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.REFUNDED), false);
+  });
+
+  it("ends at refunded", () => {
+    for (const status of ALL_ORDER_STATUSES) {
+      assert.equal(canTransition(ORDER_STATUS.REFUNDED, status), false);
+    }
+  });
+
+  it("allows nothing from an unknown status", () => {
+    assert.deepEqual(getAllowedTransitions("shipped"), []);
+  });
+});
+
+describe("transitionOrderStatus", () => {
+  it("gives a paid order its slug, paidAt and amountPaid", async () => {
+    const tx = createTx();
+    const updated = await transitionOrderStatus(tx, pendingOrder, ORDER_STATUS.PAID, {
+      actorType: STATUS_ACTORS.MIDTRANS,
+      reason: "Midtrans transaction settlement",
+    });
+
+    assert.equal(updated.status, ORDER_STATUS.PAID);
+    assert.match(updated.slug, /^budi-rina-[0-9a-f]{6}$/);
+    assert.ok(updated.paidAt instanceof Date);
+    assert.equal(updated.amountPaid, 150000);
+    assert.deepEqual(tx.history, [
+      {
+        orderId: "order-1",
+        fromStatus: ORDER_STATUS.PENDING_PAYMENT,
+        toStatus: ORDER_STATUS.PAID,
+        actorType: STATUS_ACTORS.MIDTRANS,
+        actorId: null,
+        reason: "Midtrans transaction settlement",
+      },
+    ]);
+  });
+
+  it("keeps the slug and payment of an order that was already paid", async () => {
+    const tx = createTx();
+    const paidAt = new Date("2025-01-01T00:00:00Z");
+    const order = { ...pendingOrder, status: ORDER_STATUS.IN_DESIGN, slug: "budi-rina", paidAt };
+
+    await transitionOrderStatus(tx, order, ORDER_STATUS.REVISION, {
+      actorType: STATUS_ACTORS.ADMIN,
+      actorId: "admin-1",
+      data: { weddingInfo: { groomName: "Budi" } },
+    });
+
+    assert.deepEqual(tx.updates[0].data, { weddingInfo: { groomName: "Budi" }, status: ORDER_STATUS.REVISION });
+    assert.equal(tx.history[0].actorId, "admin-1");
+  });
+
+  it("refuses a move the lifecycle does not allow and writes nothing", async () => {
+    const tx = createTx();
+    const order = { ...pendingOrder, status: ORDER_STATUS.COMPLETED };
+
+    await assert.rejects(
+      transitionOrderStatus(tx, order, ORDER_STATUS.IN_DESIGN, { actorType: STATUS_ACTORS.ADMIN }),
+      (error) =>
+        error instanceof InvalidStatusTransitionError &&
+        error.fromStatus === ORDER_STATUS.COMPLETED &&
+        error.toStatus === ORDER_STATUS.IN_DESIGN
+    );
+    assert.equal(tx.updates.length, 0);
+    assert.equal(tx.history.length, 0);
+  });
+});
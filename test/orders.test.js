@@ -0,0 +1,193 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+
+// An in-memory stand-in for the order tables, holding a single order
+let db;
+const tx = {
+  $queryRaw: async () => [],
+  order: {
+    findUnique: async ({ where }) => {
+      const { order } = db;
+      if (!order || order.id !== where.id) return null;
+      if (where.deletedAt === null && order.deletedAt) return null;
+      if (where.deletedAt?.not === null && !order.deletedAt) return null;
+      return { ...order };
+    },
+    update: async ({ data }) => {
+      db.order = { ...db.order, ...data };
+      return { ...db.order };
+    },
+    delete: async () => {
+      db.order = null;
+    },
+  },
+  orderStatusHistory: {
+    create: async ({ data }) => {
+      db.history.push(data);
+      return data;
+    },
+  },
+};
+globalThis.prisma = { ...tx, $transaction: async (callback) => callback(tx) };
+
+const { setSnapClient } = await import("../lib/midtrans.js");
+const { updateOrder, deleteOrder, purgeOrder } = await import("../controllers/orderController.js");
+
+// Snap client recording the transactions cancelled, answering with
+// cancelError when it is set
+let cancelled;
+let cancelError;
+setSnapClient({
+  transaction: {
+    cancel: async (orderId) => {
+      if (cancelError) throw cancelError;
+      cancelled.push(orderId);
+      return { transaction_status: "cancel" };
+    },
+  },
+});
+
+const midtransError = (httpStatusCode) => Object.assign(new Error(`Midtrans answered ${httpStatusCode}`), { httpStatusCode });
+
+const customer = { id: "user-1", role: "customer" };
+const admin = { id: "admin-1", role: "admin" };
+
+// Run a handler and return the JSON it answered with
+const run = async (handler, user) => {
+  let body;
+  await handler({ params: { id: "order-1" }, user }, { json: (value) => (body = value) });
+  return body;
+};
+
+describe("updateOrder", () => {
+  beforeEach(() => {
+    db = {
+      order: { id: "order-1", userId: "user-1", status: "paid", paidAt: new Date(), deletedAt: null },
+      history: [],
+    };
+  });
+
+  it("leaves cancellations and refunds to their own endpoints", async () => {
+    for (const [status, endpoint] of [
+      ["cancelled", /POST \/api\/orders\/:id\/cancel/],
+      ["refunded", /POST \/api\/orders\/:id\/refund/],
+    ]) {
+      await assert.rejects(
+        updateOrder({ params: { id: "order-1" }, user: admin, body: { status } }, {}),
+        (error) => error.status === 400 && endpoint.test(error.message)
+      );
+    }
+    assert.equal(db.order.status, "paid");
+    assert.deepEqual(db.history, []);
+  });
+});
+
+describe("deleteOrder", () => {
+  beforeEach(() => {
+    db = {
+      order: {
+        id: "order-1",
+        userId: "user-1",
+        status: "pending_payment",
+        paidAt: null,
+        deletedAt: null,
+        imageUrls: [],
+      },
+      history: [],
+    };
+    cancelled = [];
+    cancelError = null;
+  });
+
+  it("cancels an order awaiting payment with its Snap transaction", async () => {
+    await run(deleteOrder, customer);
+
+    assert.deepEqual(cancelled, ["order-1"]);
+    assert.equal(db.order.status, "cancelled");
+    assert.ok(db.order.deletedAt instanceof Date);
+    assert.deepEqual(db.history, [
+      {
+        orderId: "order-1",
+        fromStatus: "pending_payment",
+        toStatus: "cancelled",
+        actorType: "customer",
+        actorId: "user-1",
+        reason: "Order deleted",
+      },
+    ]);
+  });
+
+  it("deletes the order when no payment was ever started", async () => {
+    cancelError = midtransError(404);
+
+    await run(deleteOrder, customer);
+
+    assert.equal(db.order.status, "cancelled");
+    assert.ok(db.order.deletedAt);
+  });
+
+  it("keeps the order when Midtrans cannot cancel the transaction", async () => {
+    cancelError = midtransError(412);
+    await assert.rejects(run(deleteOrder, customer), { status: 409 });
+
+    cancelError = midtransError(500);
+    await assert.rejects(run(deleteOrder, customer), { status: 502 });
+
+    assert.equal(db.order.status, "pending_payment");
+    assert.equal(db.order.deletedAt, null);
+  });
+
+  it("only lets customers delete orders awaiting payment", async () => {
+    db.order.status = "paid";
+    await assert.rejects(run(deleteOrder, customer), { status: 409 });
+
+    await run(deleteOrder, admin);
+    assert.equal(db.order.status, "paid");
+    assert.ok(db.order.deletedAt);
+    assert.deepEqual(cancelled, []);
+  });
+});
+
+describe("purgeOrder", () => {
+  beforeEach(() => {
+    db = {
+      order: {
+        id: "order-1",
+        userId: "user-1",
+        status: "cancelled",
+        paidAt: null,
+        deletedAt: new Date(),
+        imageUrls: [],
+      },
+      history: [],
+    };
+  });
+
+  it("purges a deleted order that was never paid", async () => {
+    await run(purgeOrder, admin);
+    assert.equal(db.order, null);
+  });
+
+  it("purges a paid order that was cancelled", async () => {
+    db.order.paidAt = new Date();
+
+    await run(purgeOrder, admin);
+    assert.equal(db.order, null);
+  });
+
+  it("keeps orders that took a payment", async () => {
+    db.order = { ...db.order, status: "completed", paidAt: new Date() };
+
+    await assert.rejects(run(purgeOrder, admin), { status: 409 });
+    assert.ok(db.order);
+  });
+
+  it("only purges deleted orders", async () => {
+    db.order.deletedAt = null;
+
+    await assert.rejects(run(purgeOrder, admin), { status: 404 });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+
+// An in-memory stand-in for the order and payment event tables. lib/prisma.js
+// reuses global.prisma when it is set, so it must exist before the import.
+let db;
+const tx = {
+  order: {
+    findUnique: async ({ where }) => {
+      if (where.id) return db.order && db.order.id === where.id ? { ...db.order } : null;
+      return null; // slug lookups: every generated slug is free
+    },
+    update: async ({ data }) => {
+      db.order = { ...db.order, ...data };
+      return { ...db.order };
+    },
+  },
+  orderStatusHistory: {
+    create: async ({ data }) => data,
+  },
+  paymentEvent: {
+    findFirst: async ({ where }) =>
+      db.events.filter((event) => event.outcome === where.outcome && event.id !== where.id.not).at(-1) || null,
+    update: async ({ where, data }) => Object.assign(db.events.find((event) => event.id === where.id), data),
+  },
+};
+// Transactions take the order lock through $queryRaw (SELECT ... FOR UPDATE)
+// and hold it until they end, like Postgres does
+let orderLock = Promise.resolve();
+globalThis.prisma = {
+  $transaction: async (callback) => {
+    let release = () => {};
+    const lockingTx = {
+      ...tx,
+      $queryRaw: async () => {
+        const previous = orderLock;
+        orderLock = new Promise((resolve) => (release = resolve));
+        await previous;
+        return [];
+      },
+    };
+    try {
+      return await callback(lockingTx);
+    } finally {
+      release();
+    }
+  },
+};
+
+const { applyPaymentEvent, PAYMENT_EVENT_OUTCOMES } = await import("../lib/paymentEvents.js");
+
+// Record a Midtrans status for order-1 and apply it, returning the outcome
+const notify = async (transactionStatus, fraudStatus) => {
+  const event = { id: `event-${db.events.length + 1}`, transactionStatus, outcome: PAYMENT_EVENT_OUTCOMES.RECEIVED };
+  db.events.push(event);
+
+  const { outcome } = await applyPaymentEvent(event.id, {
+    order_id: "order-1",
+    transaction_status: transactionStatus,
+    fraud_status: fraudStatus,
+  });
+  return outcome;
+};
+
+describe("applyPaymentEvent", () => {
+  beforeEach(() => {
+    db = {
+      order: {
+        id: "order-1",
+        status: "pending_payment",
+        slug: null,
+        paidAt: null,
+        amount: 150000,
+        weddingInfo: { groomName: "Budi", brideName: "Rina" },
+      },
+      events: [],
+    };
+  });
+
+  it("marks the order paid on settlement", async () => {
+    assert.equal(await notify("pending"), PAYMENT_EVENT_OUTCOMES.APPLIED);
+    assert.equal(await notify("settlement"), PAYMENT_EVENT_OUTCOMES.APPLIED);
+
+    assert.equal(db.order.status, "paid");
+    assert.equal(db.order.amountPaid, 150000);
+    assert.ok(db.order.slug);
+  });
+
+  it("records a replayed status as a duplicate", async () => {
+    await notify("settlement");
+
+    assert.equal(await notify("settlement"), PAYMENT_EVENT_OUTCOMES.DUPLICATE);
+    assert.equal(db.order.status, "paid");
+  });
+
+  it("ignores a pending status arriving after the settlement", async () => {
+    await notify("settlement");
+
+    assert.equal(await notify("pending"), PAYMENT_EVENT_OUTCOMES.STALE);
+    assert.equal(db.order.status, "paid");
+  });
+
+  it("never lets a late failure override a settled payment", async () => {
+    await notify("settlement");
+
+    for (const failure of ["expire", "cancel", "deny", "failure"]) {
+      assert.equal(await notify(failure), PAYMENT_EVENT_OUTCOMES.STALE);
+    }
+    assert.equal(db.order.status, "paid");
+  });
+
+  it("never lets a late failure override an accepted capture", async () => {
+    await notify("capture", "accept");
+
+    assert.equal(await notify("expire"), PAYMENT_EVENT_OUTCOMES.STALE);
+    assert.equal(db.order.status, "paid");
+  });
+
+  it("cancels an order whose challenged capture is denied", async () => {
+    await notify("capture", "challenge");
+    assert.equal(db.order.status, "pending_payment");
+
+    assert.equal(await notify("deny"), PAYMENT_EVENT_OUTCOMES.APPLIED);
+    assert.equal(db.order.status, "cancelled");
+  });
+
+  it("refunds a settled order", async () => {
+    await notify("settlement");
+
+    assert.equal(await notify("refund"), PAYMENT_EVENT_OUTCOMES.APPLIED);
+    assert.equal(db.order.status, "refunded");
+  });
+
+  it("rejects a payment for an order that was already cancelled", async () => {
+    await notify("expire");
+
+    assert.equal(await notify("settlement"), PAYMENT_EVENT_OUTCOMES.REJECTED);
+    assert.equal(db.order.status, "cancelled");
+  });
+
+  it("rejects a payment for a deleted order", async () => {
+    db.order.deletedAt = new Date();
+
+    assert.equal(await notify("settlement"), PAYMENT_EVENT_OUTCOMES.REJECTED);
+    assert.equal(db.order.status, "pending_payment");
+  });
+
+  it("still cancels a deleted order whose payment expired", async () => {
+    db.order.deletedAt = new Date();
+
+    assert.equal(await notify("expire"), PAYMENT_EVENT_OUTCOMES.APPLIED);
+    assert.equal(db.order.status, "cancelled");
+  });
+
+  it("applies concurrent notifications for an order one at a time", async () => {
+    const outcomes = await Promise.all([notify("settlement"), notify("settlement"), notify("expire")]);
+
+    assert.deepEqual(outcomes, [
+      PAYMENT_EVENT_OUTCOMES.APPLIED,
+      PAYMENT_EVENT_OUTCOMES.DUPLICATE,
+      PAYMENT_EVENT_OUTCOMES.STALE,
+    ]);
+    assert.equal(db.order.status, "paid");
+  });
+
+  it("records statuses for unknown orders without failing", async () => {
+    db.order = null;
+
+    assert.equal(await notify("settlement"), PAYMENT_EVENT_OUTCOMES.UNKNOWN_ORDER);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ORDER_ITEM_TYPES, parseAddonSelection, priceOrder, applyDiscount, toItemDetails } from "../lib/pricing.js";
+
+const product = {
+  id: "product-1",
+  name: "Rustic Floral",
+  price: 149999.5,
+  tags: [{ id: "tag-rustic", name: "rustic" }],
+  variants: [],
+  addons: [
+    { id: "addon-music", name: "Background music", price: 25000, maxQuantity: 1, active: true },
+    { id: "addon-photo", name: "Extra photo", price: 10000.4, maxQuantity: 5, active: true },
+    { id: "addon-old", name: "Guest book", price: 5000, maxQuantity: 1, active: false },
+  ],
+};
+
+const productWithVariants = {
+  ...product,
+  variants: [
+    { id: "variant-basic", name: "Basic", price: 99000, active: true },
+    { id: "variant-retired", name: "Retired", price: 50000, active: false },
+  ],
+};
+
+const voucher = { id: "voucher-1", code: "HEMAT" };
+
+describe("parseAddonSelection", () => {
+  it("accepts IDs, objects and JSON strings", () => {
+    assert.deepEqual(parseAddonSelection(undefined), { selection: [] });
+    assert.deepEqual(parseAddonSelection(["addon-music"]), { selection: [{ id: "addon-music", quantity: 1 }] });
+    assert.deepEqual(parseAddonSelection('[{"id":"addon-photo","quantity":"3"}]'), {
+      selection: [{ id: "addon-photo", quantity: 3 }],
+    });
+  });
+
+  it("rejects invalid selections", () => {
+    assert.ok(parseAddonSelection("[").error);
+    assert.ok(parseAddonSelection({ id: "addon-music" }).error);
+    assert.ok(parseAddonSelection([{ id: "addon-photo", quantity: 0 }]).error);
+    assert.ok(parseAddonSelection([{ id: "addon-photo", quantity: 1.5 }]).error);
+    assert.ok(parseAddonSelection(["addon-music", "addon-music"]).error);
+  });
+});
+
+describe("priceOrder", () => {
+  it("prices the product and add-ons in whole rupiah", () => {
+    const { items, total } = priceOrder(product, {
+      addons: [
+        { id: "addon-music", quantity: 1 },
+        { id: "addon-photo", quantity: 3 },
+      ],
+    });
+
+    assert.deepEqual(
+      items.map(({ type, refId, price, quantity }) => ({ type, refId, price, quantity })),
+      [
+        { type: ORDER_ITEM_TYPES.PRODUCT, refId: "product-1", price: 150000, quantity: 1 },
+        { type: ORDER_ITEM_TYPES.ADDON, refId: "addon-music", price: 25000, quantity: 1 },
+        { type: ORDER_ITEM_TYPES.ADDON, refId: "addon-photo", price: 10000, quantity: 3 },
+      ]
+    );
+    assert.equal(total, 150000 + 25000 + 30000);
+  });
+
+  it("prices the chosen variant instead of the product", () => {
+    const { items, total } = priceOrder(productWithVariants, { variantId: "variant-basic" });
+
+    assert.equal(items[0].name, "Rustic Floral - Basic");
+    assert.equal(total, 99000);
+  });
+
+  it("requires an active variant when the product has variants", () => {
+    assert.match(priceOrder(productWithVariants).error, /variantId/);
+    assert.match(priceOrder(productWithVariants, { variantId: "variant-retired" }).error, /Variant not found/);
+  });
+
+  it("rejects unknown, inactive and over-limit add-ons", () => {
+    assert.ok(priceOrder(product, { addons: [{ id: "addon-missing", quantity: 1 }] }).error);
+    assert.ok(priceOrder(product, { addons: [{ id: "addon-old", quantity: 1 }] }).error);
+    assert.match(priceOrder(product, { addons: [{ id: "addon-music", quantity: 2 }] }).error, /At most 1/);
+  });
+});
+
+describe("applyDiscount", () => {
+  it("adds the discount as a negative line item", () => {
+    const pricing = priceOrder(product);
+    const { items, total } = applyDiscount(pricing, voucher, 15000);
+
+    assert.equal(total, 135000);
+    assert.deepEqual(items.at(-1), {
+      type: ORDER_ITEM_TYPES.DISCOUNT,
+      refId: "voucher-1",
+      name: "Voucher HEMAT",
+      price: -15000,
+      quantity: 1,
+    });
+    assert.equal(
+      toItemDetails(items).reduce((sum, item) => sum + item.price * item.quantity, 0),
+      total
+    );
+  });
+
+  it("leaves the order alone without a discount", () => {
+    const pricing = priceOrder(product);
+    assert.deepEqual(applyDiscount(pricing, voucher, 0), pricing);
+  });
+});
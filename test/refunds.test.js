@@ -0,0 +1,179 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+
+// An in-memory stand-in for the order, history and refund tables
+let db;
+const tx = {
+  order: {
+    findUnique: async () => ({ ...db.order }),
+    update: async ({ data }) => {
+      db.order = { ...db.order, ...data };
+      return { ...db.order };
+    },
+  },
+  orderStatusHistory: {
+    findFirst: async ({ where }) => db.history.find((entry) => entry.toStatus === where.toStatus) || null,
+    create: async ({ data }) => {
+      db.history.push(data);
+      return data;
+    },
+  },
+  refund: {
+    groupBy: async ({ where }) => {
+      const sums = {};
+      for (const refund of db.refunds.filter((refund) => refund.status !== where.status.not)) {
+        sums[refund.status] = (sums[refund.status] || 0) + refund.amount;
+      }
+      return Object.entries(sums).map(([status, amount]) => ({ status, _sum: { amount } }));
+    },
+    create: async ({ data }) => {
+      const refund = { id: `refund-${db.refunds.length + 1}`, ...data };
+      db.refunds.push(refund);
+      return refund;
+    },
+    update: async ({ where, data }) => Object.assign(db.refunds.find((refund) => refund.id === where.id), data),
+  },
+};
+globalThis.prisma = { ...tx, $transaction: async (callback) => callback(tx) };
+
+const { setSnapClient } = await import("../lib/midtrans.js");
+const { cancelOrder, refundOrder } = await import("../controllers/refundController.js");
+
+// Snap client recording the cancel and refund requests, answering with
+// midtransError when it is set
+let requests;
+let midtransError;
+setSnapClient({
+  transaction: {
+    cancel: async (orderId) => {
+      if (midtransError) throw midtransError;
+      requests.push({ cancel: orderId });
+      return { transaction_status: "cancel" };
+    },
+    refund: async (orderId, parameters) => {
+      if (midtransError) throw midtransError;
+      requests.push({ refund: orderId, ...parameters });
+      return { refund_chargeback_id: 42 };
+    },
+  },
+});
+
+const failWith = (httpStatusCode) => Object.assign(new Error(`Midtrans answered ${httpStatusCode}`), { httpStatusCode });
+
+// Run a handler as an admin with the order loadAccessibleOrder would attach
+const run = async (handler, body = {}) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(value) {
+      this.body = value;
+      return this;
+    },
+  };
+  await handler({ order: { ...db.order }, user: { id: "admin-1", role: "admin" }, body }, res);
+  return res;
+};
+
+beforeEach(() => {
+  db = {
+    order: { id: "order-1", status: "paid", amount: 150000, amountPaid: 150000, paidAt: new Date() },
+    history: [],
+    refunds: [],
+  };
+  requests = [];
+  midtransError = null;
+});
+
+describe("cancelOrder", () => {
+  it("voids the Midtrans transaction and cancels the order", async () => {
+    await run(cancelOrder, { reason: "Customer asked" });
+
+    assert.deepEqual(requests, [{ cancel: "order-1" }]);
+    assert.equal(db.order.status, "cancelled");
+    assert.equal(db.history[0].reason, "Customer asked");
+  });
+
+  it("cancels an unpaid order Midtrans has no transaction for", async () => {
+    db.order = { ...db.order, status: "pending_payment", paidAt: null };
+    midtransError = failWith(404);
+
+    await run(cancelOrder);
+    assert.equal(db.order.status, "cancelled");
+  });
+
+  it("refuses to cancel a settled payment", async () => {
+    midtransError = failWith(412);
+
+    await assert.rejects(run(cancelOrder), { status: 409 });
+    assert.equal(db.order.status, "paid");
+  });
+
+  it("refuses orders that can no longer be cancelled", async () => {
+    db.order.status = "refunded";
+
+    await assert.rejects(run(cancelOrder), { status: 409 });
+    assert.deepEqual(requests, []);
+  });
+});
+
+describe("refundOrder", () => {
+  it("refunds part of the payment and keeps the order", async () => {
+    const res = await run(refundOrder, { amount: 50000 });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(requests[0].amount, 50000);
+    assert.equal(db.refunds[0].status, "succeeded");
+    assert.equal(db.refunds[0].midtransRefundId, "42");
+    assert.equal(db.order.status, "paid");
+  });
+
+  it("moves the order to refunded once the whole payment is back", async () => {
+    await run(refundOrder, { amount: 50000 });
+    await run(refundOrder);
+
+    assert.equal(requests[1].amount, 100000);
+    assert.equal(db.order.status, "refunded");
+    await assert.rejects(run(refundOrder), { status: 409 });
+  });
+
+  it("never refunds more than was paid", async () => {
+    await assert.rejects(run(refundOrder, { amount: 150001 }), { status: 400 });
+    assert.deepEqual(requests, []);
+  });
+
+  it("marks the refund failed when Midtrans rejects it", async () => {
+    midtransError = failWith(500);
+
+    await assert.rejects(run(refundOrder), { status: 502 });
+    assert.equal(db.refunds[0].status, "failed");
+
+    // The failed refund does not count towards the refunded amount
+    midtransError = null;
+    await run(refundOrder);
+    assert.equal(db.order.status, "refunded");
+  });
+
+  it("refunds orders paid before their status history was kept", async () => {
+    db.order.status = "completed";
+
+    await run(refundOrder);
+    assert.equal(db.order.status, "refunded");
+  });
+
+  it("only refunds orders that were paid", async () => {
+    db.order = { ...db.order, status: "cancelled", paidAt: null, amountPaid: null };
+
+    await assert.rejects(run(refundOrder), { status: 409 });
+
+    // An order with the payment only in its history still counts
+    db.history.push({ toStatus: "paid" });
+    await run(refundOrder);
+    assert.equal(requests.length, 1);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// Files live in a temporary directory through the local storage driver.
+// Product and order images share one bucket, as they may in production.
+const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), "storage-reconciliation-test-"));
+
+process.env.NODE_ENV = "test";
+process.env.MIDTRANS_IS_PRODUCTION = "false";
+process.env.STORAGE_DRIVER = "local";
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.PRODUCTS_BUCKET = "media";
+process.env.ORDER_IMAGES_BUCKET = "media";
+
+// The products and orders referencing files
+let db;
+globalThis.prisma = {
+  product: { findMany: async () => db.products },
+  order: { findMany: async () => db.orders },
+};
+
+const { getStorage } = await import("../lib/storage/index.js");
+const { reconcileStorage } = await import("../lib/storageReconciliation.js");
+
+const storage = getStorage();
+
+// Upload a file to the shared bucket and return its URL
+const upload = async (filePath) => (await storage.upload("media", filePath, Buffer.from("image"))).url;
+
+describe("reconcileStorage", () => {
+  beforeEach(async () => {
+    await fs.rm(storageDir, { recursive: true, force: true });
+    await fs.mkdir(storageDir);
+
+    db = {
+      products: [
+        {
+          id: "product-1",
+          thumbnail: await upload("products/product-1/thumbnail.jpg"),
+          galleryUrls: [await upload("products/product-1/gallery.jpg")],
+        },
+      ],
+      orders: [
+        {
+          id: "order-1",
+          imageUrls: [await upload("orders/order-1/couple.jpg"), "https://elsewhere.example/couple.jpg"],
+        },
+      ],
+    };
+    await upload("orders/order-2/orphan.jpg");
+  });
+
+  after(() => fs.rm(storageDir, { recursive: true, force: true }));
+
+  it("checks a shared bucket once against product and order references", async () => {
+    const report = await reconcileStorage({ minAgeMinutes: 0 });
+
+    assert.equal(report.mode, "dry_run");
+    assert.equal(report.buckets.length, 1);
+
+    const [bucket] = report.buckets;
+    assert.equal(bucket.bucket, "media");
+    assert.equal(bucket.files, 4);
+    assert.equal(bucket.references, 4);
+    assert.deepEqual(
+      bucket.orphans.map((orphan) => orphan.path),
+      ["orders/order-2/orphan.jpg"]
+    );
+    assert.deepEqual(bucket.dangling, [
+      {
+        url: "https://elsewhere.example/couple.jpg",
+        ownerType: "order",
+        ownerId: "order-1",
+        field: "imageUrls",
+        reason: "not_in_bucket",
+      },
+    ]);
+    assert.equal((await storage.list("media")).length, 4);
+  });
+
+  it("reports references to files that do not exist", async () => {
+    await storage.remove("media", ["products/product-1/gallery.jpg"]);
+
+    const [bucket] = (await reconcileStorage({ minAgeMinutes: 0 })).buckets;
+    assert.deepEqual(bucket.dangling.map((reference) => [reference.field, reference.reason]), [
+      ["galleryUrls", "missing"],
+      ["imageUrls", "not_in_bucket"],
+    ]);
+  });
+
+  it("deletes orphans in apply mode", async () => {
+    const report = await reconcileStorage({ apply: true, minAgeMinutes: 0 });
+
+    assert.equal(report.totals.deleted, 1);
+    assert.deepEqual(
+      (await storage.list("media")).map((file) => file.path).sort(),
+      ["orders/order-1/couple.jpg", "products/product-1/gallery.jpg", "products/product-1/thumbnail.jpg"]
+    );
+  });
+
+  it("leaves recent uploads alone", async () => {
+    const report = await reconcileStorage({ apply: true });
+
+    assert.equal(report.totals.orphans, 0);
+    assert.equal(report.buckets[0].skippedRecent, 1);
+    assert.equal((await storage.list("media")).length, 4);
+  });
+});
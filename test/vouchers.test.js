@@ -0,0 +1,110 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { priceOrder } from "../lib/pricing.js";
+import { VOUCHER_TYPES, normalizeVoucherCode, computeDiscount, checkVoucher, applyVoucherCode } from "../lib/vouchers.js";
+
+// priceOrder gives 150000 for this product
+const product = {
+  id: "product-1",
+  name: "Rustic Floral",
+  price: 150000,
+  tags: [{ id: "tag-rustic", name: "rustic" }],
+  variants: [],
+  addons: [],
+};
+
+const voucher = (fields = {}) => ({
+  id: "voucher-1",
+  code: "HEMAT",
+  type: VOUCHER_TYPES.PERCENTAGE,
+  value: 10,
+  maxDiscount: null,
+  minAmount: null,
+  usageLimit: null,
+  perUserLimit: null,
+  active: true,
+  startsAt: null,
+  endsAt: null,
+  products: [],
+  tags: [],
+  ...fields,
+});
+
+// A Prisma client stub answering voucher lookups and redemption counts
+const createDb = ({ voucherRow = null, used = 0, usedByUser = 0 } = {}) => ({
+  voucher: { findUnique: async () => voucherRow },
+  voucherRedemption: { count: async ({ where }) => (where.userId ? usedByUser : used) },
+});
+
+describe("computeDiscount", () => {
+  it("takes a percentage, rounded down", () => {
+    assert.equal(computeDiscount(voucher({ value: 15 }), 99999), 14999);
+  });
+
+  it("caps a percentage at maxDiscount", () => {
+    assert.equal(computeDiscount(voucher({ value: 50, maxDiscount: 20000 }), 150000), 20000);
+  });
+
+  it("takes a fixed amount", () => {
+    assert.equal(computeDiscount(voucher({ type: VOUCHER_TYPES.FIXED, value: 25000 }), 150000), 25000);
+  });
+
+  it("always leaves something to pay", () => {
+    assert.equal(computeDiscount(voucher({ type: VOUCHER_TYPES.FIXED, value: 500000 }), 150000), 149999);
+    assert.equal(computeDiscount(voucher({ value: 100 }), 150000), 149999);
+  });
+});
+
+describe("checkVoucher", () => {
+  const now = new Date("2026-06-01T00:00:00Z");
+  const check = (fields, db = createDb(), subtotal = 150000) =>
+    checkVoucher(db, voucher(fields), { product, userId: "user-1", subtotal, now });
+
+  it("computes the discount of a usable voucher", async () => {
+    assert.deepEqual(await check({}), { discount: 15000 });
+  });
+
+  it("rejects inactive, not yet valid and expired vouchers", async () => {
+    assert.match((await check({ active: false })).error, /no longer active/);
+    assert.match((await check({ startsAt: new Date("2026-07-01") })).error, /not valid yet/);
+    assert.match((await check({ endsAt: new Date("2026-05-01") })).error, /expired/);
+  });
+
+  it("applies restricted vouchers to the listed products and tags only", async () => {
+    assert.deepEqual(await check({ products: [{ id: "product-1" }] }), { discount: 15000 });
+    assert.deepEqual(await check({ tags: [{ id: "tag-rustic" }] }), { discount: 15000 });
+    assert.match((await check({ products: [{ id: "product-2" }], tags: [{ id: "tag-modern" }] })).error, /does not apply/);
+  });
+
+  it("enforces the minimum order and usage limits", async () => {
+    assert.match((await check({ minAmount: 200000 })).error, /minimum order/);
+    assert.match((await check({ usageLimit: 10 }, createDb({ used: 10 }))).error, /fully redeemed/);
+    assert.deepEqual(await check({ usageLimit: 10 }, createDb({ used: 9 })), { discount: 15000 });
+    assert.match((await check({ perUserLimit: 1 }, createDb({ usedByUser: 1 }))).error, /maximum number of times/);
+  });
+});
+
+describe("applyVoucherCode", () => {
+  it("looks the code up and discounts the order", async () => {
+    const pricing = priceOrder(product);
+    const result = await applyVoucherCode(createDb({ voucherRow: voucher() }), pricing, {
+      code: " hemat ",
+      product,
+      userId: "user-1",
+    });
+
+    assert.equal(result.subtotal, 150000);
+    assert.equal(result.discount, 15000);
+    assert.equal(result.total, 135000);
+  });
+
+  it("reports unknown codes", async () => {
+    const result = await applyVoucherCode(createDb(), priceOrder(product), { code: "NOPE", product, userId: "user-1" });
+    assert.deepEqual(result, { error: "Voucher not found" });
+  });
+
+  it("normalizes codes as customers type them", () => {
+    assert.equal(normalizeVoucherCode("  hemat10 "), "HEMAT10");
+    assert.equal(normalizeVoucherCode(undefined), "");
+  });
+});
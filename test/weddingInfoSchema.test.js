@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_WEDDING_INFO_SCHEMA,
+  getWeddingInfoSchema,
+  validateFieldDefinitions,
+  validateWeddingInfo,
+} from "../lib/weddingInfoSchema.js";
+
+const customFields = [
+  { key: "hostName", label: "Host", type: "string", required: true, maxLength: 10 },
+  { key: "guests", label: "Guests", type: "number", required: false },
+  { key: "outdoor", label: "Outdoor", type: "boolean", required: false },
+];
+
+describe("getWeddingInfoSchema", () => {
+  it("falls back to the default form", () => {
+    assert.equal(getWeddingInfoSchema({ weddingInfoSchema: null }), DEFAULT_WEDDING_INFO_SCHEMA);
+    assert.equal(getWeddingInfoSchema({ weddingInfoSchema: [] }), DEFAULT_WEDDING_INFO_SCHEMA);
+    assert.equal(getWeddingInfoSchema({ weddingInfoSchema: customFields }), customFields);
+  });
+});
+
+describe("validateWeddingInfo", () => {
+  it("accepts and trims a valid submission", () => {
+    const result = validateWeddingInfo(DEFAULT_WEDDING_INFO_SCHEMA, {
+      groomName: "  Budi ",
+      brideName: "Rina",
+      akadDate: "2026-02-14",
+      akadTime: "08:30",
+      mapsUrl: "https://maps.example/venue",
+      akadVenue: "",
+    });
+
+    assert.deepEqual(result, {
+      value: {
+        groomName: "Budi",
+        brideName: "Rina",
+        akadDate: "2026-02-14",
+        akadTime: "08:30",
+        mapsUrl: "https://maps.example/venue",
+      },
+    });
+  });
+
+  it("accepts weddingInfo sent as a JSON string", () => {
+    const result = validateWeddingInfo(DEFAULT_WEDDING_INFO_SCHEMA, '{"groomName":"Budi","brideName":"Rina"}');
+    assert.deepEqual(result, { value: { groomName: "Budi", brideName: "Rina" } });
+  });
+
+  it("reports every invalid field", () => {
+    const { errors } = validateWeddingInfo(DEFAULT_WEDDING_INFO_SCHEMA, {
+      groomName: "Budi",
+      brideName: "   ",
+      akadDate: "2026-02-30",
+      akadTime: "24:00",
+      mapsUrl: "javascript:alert(1)",
+      giftAccount: "123",
+    });
+
+    assert.deepEqual(errors, {
+      brideName: "brideName is required",
+      akadDate: "akadDate must be a date in YYYY-MM-DD format",
+      akadTime: "akadTime must be a time in HH:MM format",
+      mapsUrl: "mapsUrl must be an http or https URL",
+      giftAccount: "giftAccount is not a field of this product",
+    });
+  });
+
+  it("checks custom field types and lengths", () => {
+    assert.deepEqual(validateWeddingInfo(customFields, { hostName: "Ani", guests: "120", outdoor: "true" }), {
+      value: { hostName: "Ani", guests: 120, outdoor: true },
+    });
+    assert.deepEqual(validateWeddingInfo(customFields, { hostName: "A very long name", guests: "many", outdoor: "yes" }).errors, {
+      hostName: "hostName must be at most 10 characters",
+      guests: "guests must be a number",
+      outdoor: "outdoor must be true or false",
+    });
+  });
+
+  it("rejects anything but an object", () => {
+    assert.deepEqual(validateWeddingInfo(customFields, "{"), { errors: { weddingInfo: "weddingInfo must be valid JSON" } });
+    assert.deepEqual(validateWeddingInfo(customFields, ["Ani"]), { errors: { weddingInfo: "weddingInfo must be an object" } });
+  });
+});
+
+describe("validateFieldDefinitions", () => {
+  it("normalizes field definitions", () => {
+    assert.deepEqual(validateFieldDefinitions([{ key: "hostName", type: "string", required: "yes", maxLength: 50 }]), {
+      fields: [{ key: "hostName", label: "hostName", type: "string", required: false, maxLength: 50 }],
+    });
+  });
+
+  it("rejects invalid definitions", () => {
+    assert.match(validateFieldDefinitions({}).error, /must be an array/);
+    assert.match(validateFieldDefinitions([{ key: "1st", type: "string" }]).error, /key must start with a letter/);
+    assert.match(
+      validateFieldDefinitions([
+        { key: "hostName", type: "string" },
+        { key: "hostName", type: "text" },
+      ]).error,
+      /duplicate key hostName/
+    );
+    assert.match(validateFieldDefinitions([{ key: "photo", type: "file" }]).error, /type must be one of/);
+    assert.match(validateFieldDefinitions([{ key: "story", type: "text", maxLength: 0 }]).error, /maxLength/);
+  });
+});